@@ -19,6 +19,20 @@ gulp.task('buildTestPage', function () {
   .pipe(gulp.dest('test-out'));
 });
 
+gulp.task('buildBenchPage', function () {
+  gulp.src('./test/bench/*.html')
+  .pipe(
+    lasso({
+      'configFile': './lasso-bench-config.json',
+      'dependencies': [
+        './src/minimap.css',
+        'require-run: ./test/bench/bench.js'
+      ]
+    })
+  )
+  .pipe(gulp.dest('test-out/bench'));
+});
+
 gulp.task('build', function () {
   // minified js
   gulp.src('src/minimap.js')
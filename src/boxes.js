@@ -0,0 +1,130 @@
+/**
+ * @file collects simplified layout boxes of an element for the
+ * drawn (non clone) renderers
+ * @author Austin Rausch
+ */
+module.exports = {
+  collectBoxes,
+  drawnRect
+};
+
+const mediaTags = new Set(['IMG', 'PICTURE', 'SVG', 'CANVAS', 'VIDEO', 'IFRAME', 'OBJECT', 'EMBED']);
+const roleTags = {
+  'H1': 'heading',
+  'H2': 'heading',
+  'H3': 'heading',
+  'H4': 'heading',
+  'H5': 'heading',
+  'H6': 'heading',
+  'PRE': 'code',
+  'CODE': 'code',
+  'KBD': 'code',
+  'SAMP': 'code',
+  'TABLE': 'table'
+};
+
+/**
+ * collectBoxes - walks an element and returns a box for every visible
+ * background, line of text and piece of media inside it
+ *
+ * @param  {Element}  root   The element to walk
+ * @param  {Object}   origin Object containing the top and left client
+ *                           coordinates that boxes are made relative to
+ * @param  {Function} [skip] Returns true for elements to leave out
+ * @return {Array}           Boxes with type ('block', 'text' or 'image'),
+ *                           x, y, width, height, color and the role of the
+ *                           closest heading, code or table element, or null
+ */
+function collectBoxes (root, origin, skip) {
+  const boxes = [];
+
+  function addBox (type, rect, color, role) {
+    boxes.push({
+      type: type,
+      x: rect.left - origin.left,
+      y: rect.top - origin.top,
+      width: rect.width,
+      height: rect.height,
+      color: color,
+      role: role
+    });
+  }
+
+  function walk (element, style, parentRole) {
+    const tagName = element.tagName.toUpperCase();
+    const role = roleTags[tagName] || parentRole;
+    const rect = element.getBoundingClientRect();
+    if (rect.width && rect.height) {
+      if (mediaTags.has(tagName)) {
+        addBox('image', rect, null, role);
+        return;
+      }
+      if (!isTransparent(style.backgroundColor)) {
+        addBox('block', rect, style.backgroundColor, role);
+      }
+    }
+
+    const children = element.childNodes;
+    for (let i = 0; i < children.length; i++) {
+      const child = children[i];
+      if (child.nodeType === 3) {
+        addTextBoxes(child, style.color, role);
+      } else if (child.nodeType === 1 && !(skip && skip(child))) {
+        const childStyle = window.getComputedStyle(child);
+        if (childStyle.display !== 'none' && childStyle.visibility !== 'hidden') {
+          walk(child, childStyle, role);
+        }
+      }
+    }
+  }
+
+  // one box per line the text wraps onto
+  function addTextBoxes (textNode, color, role) {
+    if (!textNode.nodeValue.trim()) {
+      return;
+    }
+    const range = document.createRange();
+    range.selectNodeContents(textNode);
+    const rects = range.getClientRects();
+    for (let i = 0; i < rects.length; i++) {
+      if (rects[i].width && rects[i].height) {
+        addBox('text', rects[i], color, role);
+      }
+    }
+    if (range.detach) {
+      range.detach();
+    }
+  }
+
+  walk(root, window.getComputedStyle(root), null);
+  return boxes;
+}
+
+/**
+ * isTransparent - returns whether a computed color draws nothing
+ *
+ * @param  {String} color The computed color
+ * @return {Boolean}      true if the color is fully transparent
+ */
+function isTransparent (color) {
+  return !color || color === 'transparent' || /^rgba\(.*,\s*0\)$/.test(color);
+}
+
+/**
+ * drawnRect - returns the rectangle the renderers draw for a box, a line of
+ * text is drawn as a bar through its middle, thinner than the line height
+ *
+ * @param  {Object} box A box returned by collectBoxes
+ * @return {Object}     Object containing the x, y, width and height
+ */
+function drawnRect (box) {
+  if (box.type !== 'text') {
+    return {x: box.x, y: box.y, width: box.width, height: box.height};
+  }
+  return {
+    x: box.x,
+    y: box.y + box.height * 0.2,
+    width: box.width,
+    height: box.height * 0.6
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * @file paints layout boxes into a canvas for the 'canvas' renderer
+ * @author Austin Rausch
+ */
+const {drawnRect} = require('./boxes');
+
+module.exports = {
+  paintCanvas
+};
+
+const imageColor = 'rgba(128, 128, 128, 0.5)';
+const textAlpha = 0.6;
+
+/**
+ * paintCanvas - sizes the canvas bitmap to the scaled base element and paints
+ * the boxes into it, block backgrounds as rectangles, lines of text as bars
+ * and media as tinted rectangles
+ *
+ * @param {HTMLCanvasElement} canvas   The canvas to paint into
+ * @param {Array}             boxes    The boxes returned by collectBoxes
+ * @param {Object}            baseSize The width and height of the base element
+ * @param {Object}            scale    The x and y scale of the minimap
+ */
+function paintCanvas (canvas, boxes, baseSize, scale) {
+  // the bitmap matches the scaled size on screen, not the css size
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.max(Math.round(baseSize.width * scale.x * ratio), 1);
+  canvas.height = Math.max(Math.round(baseSize.height * scale.y * ratio), 1);
+
+  const context = canvas.getContext('2d');
+  context.setTransform(scale.x * ratio, 0, 0, scale.y * ratio, 0, 0);
+  context.clearRect(0, 0, baseSize.width, baseSize.height);
+
+  boxes.forEach((box) => {
+    const rect = drawnRect(box);
+    context.globalAlpha = box.type === 'text' ? textAlpha : 1;
+    context.fillStyle = box.type === 'image' ? imageColor : box.color;
+    context.fillRect(rect.x, rect.y, rect.width, rect.height);
+  });
+  context.globalAlpha = 1;
+}
@@ -0,0 +1,340 @@
+/**
+ * @file post-processing of the clone used by the 'clone' renderer
+ * @author Austin Rausch
+ */
+const {
+  addClass,
+  cssObjAssign
+} = require('./jquery-ports');
+
+module.exports = {
+  cloneTree,
+  sanitizer,
+  sanitizeClone,
+  namespaceClone,
+  filterClone,
+  fixElements,
+  isMirrored,
+  mirrorState
+};
+
+const defaultDeny = ['script', 'iframe', 'frame', 'object', 'embed', 'video', 'audio'];
+
+// attributes holding one or more space separated ids
+const idReferenceAttributes = [
+  'for',
+  'form',
+  'list',
+  'headers',
+  'aria-activedescendant',
+  'aria-controls',
+  'aria-describedby',
+  'aria-details',
+  'aria-errormessage',
+  'aria-flowto',
+  'aria-labelledby',
+  'aria-owns'
+];
+
+const focusableSelector = [
+  'a[href]',
+  'area[href]',
+  'button',
+  'input',
+  'select',
+  'textarea',
+  'iframe',
+  '[tabindex]',
+  '[contenteditable]'
+].join(', ');
+
+/**
+ * cloneTree - deep clones the element node by node, pairing every element
+ * with its clone. Elements that substitute returns something other than
+ * undefined for are never cloned, so they can't start loading anything,
+ * and the node it returns, if any, takes their place
+ *
+ * @param  {Element}  original   The element to clone
+ * @param  {Function} substitute Called with each descendant element
+ * @return {Object}              Object containing the clone and the
+ *                               [original, clone] pairs in document order
+ */
+function cloneTree (original, substitute) {
+  const pairs = [];
+  const clone = (function copy (node) {
+    const cloned = node.cloneNode(false);
+    if (node.nodeType === 1) {
+      pairs.push([node, cloned]);
+    }
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      const substituted = child.nodeType === 1 ? substitute(child) : undefined;
+      if (substituted === undefined) {
+        cloned.appendChild(copy(child));
+      } else if (substituted) {
+        cloned.appendChild(substituted);
+      }
+    }
+    return cloned;
+  })(original);
+  return {clone, pairs};
+}
+
+/**
+ * sanitizer - creates the substitute function for cloneTree that replaces
+ * elements matching the deny list, and not the allow list, with empty
+ * placeholders of the same size
+ *
+ * @param  {Object}   options         Object containing the lists
+ * @param  {Array}    [options.deny]  Selectors of elements to replace
+ * @param  {Array}    [options.allow] Selectors of elements to keep anyway
+ * @return {Function}                 The substitute function
+ */
+function sanitizer (options) {
+  const deny = (options.deny || defaultDeny).join(', ');
+  const allow = (options.allow || []).join(', ');
+  return (original) => {
+    const denied = deny && original.matches(deny) && !(allow && original.matches(allow));
+    return denied ? placeholderFor(original) : undefined;
+  };
+}
+
+/**
+ * sanitizeClone - makes the rest of the clone inert, inline event handlers
+ * are removed and autoplay is turned off
+ *
+ * @param {Array} pairs The pairs returned by cloneTree
+ */
+function sanitizeClone (pairs) {
+  pairs.forEach(([original, clone]) => {
+    const names = [];
+    for (let i = 0; i < clone.attributes.length; i++) {
+      names.push(clone.attributes[i].name);
+    }
+    names.forEach((name) => {
+      if (name.toLowerCase().indexOf('on') === 0) {
+        clone.removeAttribute(name);
+      }
+    });
+
+    if (clone.hasAttribute('autoplay')) {
+      clone.removeAttribute('autoplay');
+      clone.setAttribute('preload', 'none');
+    }
+  });
+}
+
+/**
+ * placeholderFor - creates an empty div the size of the element to take
+ * its place in the clone
+ *
+ * @param  {Element} original The element to stand in for
+ * @return {Element}          The placeholder, or null if the element
+ *                            takes up no space
+ */
+function placeholderFor (original) {
+  const rect = original.getBoundingClientRect();
+  const display = window.getComputedStyle(original).display;
+  if (!rect.width || !rect.height || display === 'none') {
+    return null;
+  }
+
+  // keep the class and style so margins, floats etc. still apply
+  const placeholder = document.createElement('div');
+  ['class', 'style'].forEach((name) => {
+    if (original.hasAttribute(name)) {
+      placeholder.setAttribute(name, original.getAttribute(name));
+    }
+  });
+  addClass(placeholder, 'minimap-placeholder');
+
+  cssObjAssign(placeholder, {
+    'display': display === 'inline' ? 'inline-block' : display,
+    'box-sizing': 'border-box',
+    'width': rect.width + 'px',
+    'height': rect.height + 'px'
+  });
+  return placeholder;
+}
+
+/**
+ * namespaceClone - prefixes every id and name in the clone, and the id
+ * references pointing at them, so the clone doesn't clash with the page.
+ * Focusable elements are taken out of the tab order, the clone itself is
+ * meant to be hidden from assistive technology.
+ *
+ * @param {Element} clone  The clone
+ * @param {String}  prefix The prefix to add
+ * @param {Map}     ids    Filled with original id => cloned id
+ * @param {Map}     names  Filled with original name => cloned name
+ */
+function namespaceClone (clone, prefix, ids, names) {
+  const elements = [clone].concat(Array.from(clone.querySelectorAll('*')));
+
+  elements.forEach((element) => {
+    if (element.hasAttribute('id')) {
+      const id = element.getAttribute('id');
+      ids.set(id, prefix + id);
+      element.setAttribute('id', prefix + id);
+    }
+    // separate names keep cloned radio buttons out of the page's groups
+    if (element.hasAttribute('name')) {
+      const name = element.getAttribute('name');
+      names.set(name, prefix + name);
+      element.setAttribute('name', prefix + name);
+    }
+  });
+
+  elements.forEach((element) => {
+    idReferenceAttributes.forEach((attribute) => {
+      if (!element.hasAttribute(attribute)) {
+        return;
+      }
+      const references = element.getAttribute(attribute).split(/\s+/).map((id) => {
+        return ids.has(id) ? ids.get(id) : id;
+      });
+      element.setAttribute(attribute, references.join(' '));
+    });
+    if (element.matches(focusableSelector)) {
+      element.setAttribute('tabindex', '-1');
+    }
+  });
+}
+
+/**
+ * filterClone - hides the parts of the clone that shouldn't be previewed.
+ * Hidden elements keep their space, so the clone's layout still matches the
+ * page the region is measured against.
+ *
+ * @param {Array} pairs   The pairs returned by cloneTree
+ * @param {Array} include Selectors of elements to show, everything else is
+ *                        hidden unless this is empty
+ * @param {Array} exclude Selectors of elements to hide, wins over include
+ */
+function filterClone (pairs, include, exclude) {
+  const includeSelector = include.join(', ');
+  const excludeSelector = exclude.join(', ');
+
+  // visibility is inherited, but a descendant can make itself visible again
+  if (includeSelector) {
+    cssObjAssign(pairs[0][1], {'visibility': 'hidden'});
+  }
+  pairs.forEach(([original, clone]) => {
+    if (excludeSelector && original.matches(excludeSelector)) {
+      cssObjAssign(clone, {'visibility': 'hidden'});
+    } else if (includeSelector && original.matches(includeSelector) &&
+        !(excludeSelector && original.closest(excludeSelector))) {
+      cssObjAssign(clone, {'visibility': 'visible'});
+    }
+  });
+}
+
+/**
+ * fixElements - finds the fixed and sticky elements of the page in the
+ * clone, where fixed elements would otherwise escape the scaled minimap,
+ * and handles them according to the mode:
+ * 'drop' hides them, 'static' puts them where they sit at the top of the
+ * page and 'overlay' leaves the fixed elements to the caller
+ *
+ * @param  {Array}  pairs The pairs returned by cloneTree
+ * @param  {String} mode  'drop', 'static' or 'overlay'
+ * @return {Array}        The outermost fixed pairs in 'overlay' mode,
+ *                        otherwise an empty array
+ */
+function fixElements (pairs, mode) {
+  const root = pairs[0][0];
+  const overlay = [];
+
+  pairs.slice(1).forEach(([original, clone]) => {
+    const position = window.getComputedStyle(original).position;
+    const fixed = position === 'fixed';
+    if (!fixed && position !== 'sticky' && position !== '-webkit-sticky') {
+      return;
+    }
+
+    if (mode === 'drop') {
+      cssObjAssign(clone, {'visibility': 'hidden'});
+    } else if (!fixed) {
+      // sticky elements are already in the flow of the page
+      cssObjAssign(clone, {'position': 'static'});
+    } else if (mode === 'static') {
+      cssObjAssign(clone, documentPosition(original, root));
+    } else if (!overlay.some(([outer]) => outer.contains(original))) {
+      overlay.push([original, clone]);
+    }
+  });
+  return overlay;
+}
+
+/**
+ * documentPosition - calculates absolute positioning styles that put a fixed
+ * element where it sits with the page scrolled to the top, relative to its
+ * closest positioned ancestor or the root, which contains it in the minimap
+ *
+ * @param  {Element} element The fixed element
+ * @param  {Element} root    The cloned element
+ * @return {Object}          The styles to assign to the element's clone
+ */
+function documentPosition (element, root) {
+  let ancestor = element.parentElement;
+  while (ancestor !== root && window.getComputedStyle(ancestor).position === 'static') {
+    ancestor = ancestor.parentElement;
+  }
+
+  // fixed elements don't move with the page, positioned ancestors do
+  const rect = element.getBoundingClientRect();
+  const ancestorRect = ancestor.getBoundingClientRect();
+  const top = rect.top - (ancestorRect.top + window.scrollY) - ancestor.clientTop;
+  const left = rect.left - (ancestorRect.left + window.scrollX) - ancestor.clientLeft;
+  return {
+    'position': 'absolute',
+    'top': top + 'px',
+    'left': left + 'px',
+    'right': 'auto',
+    'bottom': 'auto',
+    'margin': '0px',
+    'width': rect.width + 'px',
+    'height': rect.height + 'px',
+    'box-sizing': 'border-box'
+  };
+}
+
+/**
+ * isMirrored - returns whether the element has state that cloning doesn't
+ * copy and mirrorState does, form fields and canvases
+ *
+ * @param  {Element} element The element to test
+ * @return {Boolean}         true for inputs, selects, textareas and canvases
+ */
+function isMirrored (element) {
+  return /^(INPUT|SELECT|TEXTAREA|CANVAS)$/.test(element.tagName.toUpperCase());
+}
+
+/**
+ * mirrorState - copies the current value, checked state or selection of a
+ * form field, or the pixels of a canvas, onto its clone
+ *
+ * @param {Element} original The element the clone was made from
+ * @param {Element} clone    The cloned element
+ */
+function mirrorState (original, clone) {
+  const tagName = original.tagName.toUpperCase();
+
+  if (tagName === 'CANVAS') {
+    clone.width = original.width;
+    clone.height = original.height;
+    const context = clone.getContext('2d');
+    if (context && original.width && original.height) {
+      context.drawImage(original, 0, 0);
+    }
+  } else if (tagName === 'SELECT') {
+    // options added to the page since it was cloned have no clone yet
+    const length = Math.min(original.options.length, clone.options.length);
+    for (let i = 0; i < length; i++) {
+      clone.options[i].selected = original.options[i].selected;
+    }
+  } else if (original.type === 'checkbox' || original.type === 'radio') {
+    clone.checked = original.checked;
+  } else if (original.type !== 'file') {
+    clone.value = original.value;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * @file hosts that isolate the preview from the page, a shadow root or a
+ * same-origin iframe with copies of the page's stylesheets
+ * @author Austin Rausch
+ */
+const {
+  addClass,
+  cssObjAssign,
+  isFunction
+} = require('./jquery-ports');
+
+module.exports = {
+  createHost,
+  openHost,
+  copyStyleSheets
+};
+
+/**
+ * createHost - creates the element that will hold the preview for the
+ * isolation mode, shadow roots fall back to an iframe where unsupported
+ *
+ * @param  {String} isolation 'shadow', 'iframe' or 'none'
+ * @return {Element}          The host, or null for 'none'
+ */
+function createHost (isolation) {
+  if (isolation === 'none') {
+    return null;
+  }
+  const shadow = isolation === 'shadow' && isFunction(document.head.attachShadow);
+  const host = document.createElement(shadow ? 'div' : 'iframe');
+  addClass(host, 'minimap minihost noselect');
+  host.setAttribute('aria-hidden', 'true');
+  if (!shadow) {
+    host.setAttribute('tabindex', '-1');
+    host.setAttribute('scrolling', 'no');
+  }
+  return host;
+}
+
+/**
+ * openHost - prepares a host already on the page to take the preview and
+ * copies the page's stylesheets into it
+ *
+ * @param  {Element} host The element returned by createHost
+ * @return {Node}         The shadow root or iframe body to append to
+ */
+function openHost (host) {
+  let root;
+  if (host.tagName === 'IFRAME') {
+    // an iframe's document only exists once it is on the page
+    const doc = host.contentDocument;
+    const doctype = document.compatMode === 'CSS1Compat' ? '<!DOCTYPE html>' : '';
+    doc.open();
+    doc.write(doctype + '<html><head></head><body></body></html>');
+    doc.close();
+    cssObjAssign(doc.body, {
+      'margin': '0px',
+      'background': 'transparent'
+    });
+    root = doc.body;
+  } else {
+    root = host.attachShadow({mode: 'open'});
+  }
+  copyStyleSheets(root);
+  return root;
+}
+
+/**
+ * copyStyleSheets - replaces the copies of the page's stylesheets in the
+ * root returned by openHost, in document order so the cascade stays the
+ * same, followed by the sheets adopted by the document
+ *
+ * @param {Node} root The shadow root or iframe body
+ */
+function copyStyleSheets (root) {
+  const isFrame = root.nodeType === 1;
+  const container = isFrame ? root.ownerDocument.head : root;
+  const doc = container.ownerDocument;
+  Array.from(container.querySelectorAll('[data-minimap-sheet]')).forEach((copy) => {
+    copy.parentNode.removeChild(copy);
+  });
+
+  // the preview elements follow the copies in a shadow root
+  const next = container.firstChild;
+  const append = (copy) => {
+    copy.setAttribute('data-minimap-sheet', '');
+    container.insertBefore(copy, next);
+  };
+  // links still loading have no stylesheet yet, so go by the elements
+  const owners = document.querySelectorAll('style, link[rel~="stylesheet"]');
+  Array.from(owners).forEach((owner) => {
+    let copy;
+    if (owner.tagName === 'STYLE') {
+      // rules inserted with insertRule aren't part of the text content
+      copy = doc.importNode(owner, false);
+      copy.textContent = owner.sheet ? sheetText(owner.sheet) : owner.textContent;
+    } else {
+      copy = doc.importNode(owner, true);
+    }
+    append(copy);
+  });
+
+  const adopted = document.adoptedStyleSheets;
+  if (!adopted) {
+    return;
+  }
+  if (isFrame) {
+    // constructed sheets can't be shared with another document
+    const copy = doc.createElement('style');
+    copy.textContent = Array.from(adopted, sheetText).join('\n');
+    append(copy);
+  } else {
+    root.adoptedStyleSheets = Array.from(adopted);
+  }
+}
+
+/**
+ * sheetText - returns the css text of a stylesheet
+ *
+ * @param  {CSSStyleSheet} sheet The stylesheet
+ * @return {String}              The text of its rules
+ */
+function sheetText (sheet) {
+  return Array.from(sheet.cssRules, (rule) => rule.cssText).join('\n');
+}
@@ -16,6 +16,7 @@ module.exports = {
   cssObjAssign,
   cloneNode,
   outerHeight,
+  outerWidth,
   showElement,
   hideElement,
   toggleElement
@@ -107,7 +108,7 @@ function select (selector, element) {
  */
 function remove (element) {
   if (element) {
-    if ((typeof element) === (typeof []) || element.constructor.name === 'NodeList') {
+    if (Array.isArray(element) || element.constructor.name === 'NodeList') {
       element.forEach(function (cur) {
         cur.parentNode.removeChild(cur);
       });
@@ -209,6 +210,34 @@ function outerHeight (elem) {
   return margin + padding + border + clientHeight;
 }
 
+/**
+ * outerWidth - calculates the outer width of the inputted element
+ * This includes margin, border, padding and the client width of the element
+ *
+ * @param  {Element} elem the element to calculate the outer width of
+ * @return {Number}       the resulting outer width
+ */
+function outerWidth (elem) {
+  function _removePx (string) {
+    return string.substring(0, string.length - 2);
+  }
+  var style = window.getComputedStyle(elem);
+
+  var marginLeft = parseInt(_removePx(style.marginLeft));
+  var marginRight = parseInt(_removePx(style.marginRight));
+  var margin = marginLeft + marginRight;
+
+  var border = parseInt(_removePx(style.borderWidth));
+
+  var paddingLeft = parseInt(_removePx(style.paddingLeft));
+  var paddingRight = parseInt(_removePx(style.paddingRight));
+  var padding = paddingLeft + paddingRight;
+
+  var clientWidth = elem.clientWidth;
+
+  return margin + padding + border + clientWidth;
+}
+
 /**
  * showElement - resets the display style of the element to its default
  *
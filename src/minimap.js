@@ -32,16 +32,35 @@ const {
   addClass,
   removeClass,
   cssObjAssign,
-  cloneNode,
   outerHeight,
+  outerWidth,
   showElement,
-  hideElement,
-  toggleElement
+  hideElement
   } = require('./jquery-ports');
-
-const validPositions = new Set(['right', 'left']);
+const {
+  cloneTree,
+  sanitizer,
+  sanitizeClone,
+  namespaceClone,
+  filterClone,
+  fixElements,
+  isMirrored,
+  mirrorState
+  } = require('./clone');
+const {collectBoxes} = require('./boxes');
+const {paintCanvas} = require('./canvas-renderer');
+const {renderSVG, toSVGString} = require('./svg-renderer');
+const {createHost, openHost, copyStyleSheets} = require('./isolation');
+
+const validPositions = new Set(['right', 'left', 'top', 'bottom']);
+const horizontalPositions = new Set(['top', 'bottom']);
+const validAxes = new Set(['auto', 'y', 'x', 'both']);
+const validRenderers = new Set(['clone', 'canvas', 'svg']);
+const validFixedElements = new Set(['static', 'drop', 'overlay']);
+const validIsolations = new Set(['none', 'shadow', 'iframe']);
 const redrawAttributes = new Set(
   [
+    'axis',
     'heightRatio',
     'widthRatio',
     'offsetHeightRatio',
@@ -49,8 +68,126 @@ const redrawAttributes = new Set(
   ]
 );
 
+const validAligns = new Set(['start', 'center']);
+const validShortcutActions = new Set(
+  [
+    'toggle',
+    'focus',
+    'nextSection',
+    'previousSection',
+    'top',
+    'bottom'
+  ]
+);
+const validEvents = new Set(
+  [
+    'show',
+    'hide',
+    'redraw',
+    'regionmove',
+    'dragstart',
+    'dragend',
+    'navigate',
+    'destroy'
+  ]
+);
+
 const noop = () => {};
 
+// the elements minimaps add to the page
+const minimapSelector = '.minimap.noselect, .miniregion, .minioverlay';
+
+// how far the arrow keys scroll the page, like the browser's own arrow keys
+const arrowKeyStep = 40;
+
+// a flicked region slows down by momentumFriction every 16ms and stops
+// below minMomentumSpeed, in minimap pixels per ms. The flick's speed is
+// measured over the last flickWindow ms of the drag
+const momentumFriction = 0.95;
+const minMomentumSpeed = 0.02;
+const flickWindow = 100;
+
+// how much a pixel of ctrl+wheel zooms the minimap, and the smallest
+// heightRatio zooming out goes to
+const wheelZoomSpeed = 0.002;
+const minZoomRatio = 0.1;
+
+// the elements nextSection and previousSection step through
+const sectionSelector = 'h1, h2, h3, h4, h5, h6';
+
+// modifiers in the order combos are normalized to
+const modifierKeys = ['ctrl', 'alt', 'shift', 'meta'];
+const keyAliases = {
+  ' ': 'space',
+  'spacebar': 'space',
+  'esc': 'escape',
+  'up': 'arrowup',
+  'down': 'arrowdown',
+  'left': 'arrowleft',
+  'right': 'arrowright',
+  'control': 'ctrl',
+  'option': 'alt',
+  'cmd': 'meta'
+};
+
+// numbers each minimap, to keep the ids of their clones apart
+let instanceCount = 0;
+
+// older browsers read an options object as the capture flag
+let supportsPassive = false;
+try {
+  const options = Object.defineProperty({}, 'passive', {
+    get: () => {
+      supportsPassive = true;
+    }
+  });
+  window.addEventListener('test', noop, options);
+  window.removeEventListener('test', noop, options);
+} catch (e) {}
+
+const easings = {
+  linear: (t) => t,
+  easeInOutCubic: (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+};
+
+const isSelectorList = (value) => {
+  return Array.isArray(value) && value.every((selector) => typeof selector === 'string');
+};
+
+// 'Shift+Alt+M' => 'alt+shift+m', or null if there isn't exactly one key
+const normalizeCombo = (combo) => {
+  const parts = combo.toLowerCase().split('+').map((part) => {
+    part = part.trim();
+    return keyAliases[part] || part;
+  });
+  const keys = parts.filter((part) => modifierKeys.indexOf(part) === -1);
+  if (keys.length !== 1 || !keys[0]) {
+    return null;
+  }
+  const modifiers = modifierKeys.filter((modifier) => parts.indexOf(modifier) !== -1);
+  return modifiers.concat(keys).join('+');
+};
+
+// the normalized combos a keydown event matches, by the key it typed and,
+// as modifiers like alt change the typed key on some layouts, the key pressed
+const eventCombos = (e) => {
+  const modifiers = modifierKeys.filter((modifier) => e[modifier + 'Key']);
+  const keys = [];
+  if (e.key) {
+    const key = e.key.toLowerCase();
+    keys.push(keyAliases[key] || key);
+  }
+  const code = /^(?:Key|Digit)(.)$/.exec(e.code || '');
+  if (code) {
+    keys.push(code[1].toLowerCase());
+  }
+  return keys.map((key) => modifiers.concat(key).join('+'));
+};
+
+const isEditable = (element) => {
+  return !!element && (element.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName));
+};
+
 const propValidators = {
   'allowClick': (value) => {
     if (value !== true && value !== false) {
@@ -102,19 +239,111 @@ const propValidators = {
       throw new Error('Invalid position: ' + value);
     }
   },
+  'axis': (value) => {
+    if (!validAxes.has(value)) {
+      throw new Error('Invalid axis: ' + value);
+    }
+  },
   'smoothScrollDelay': (value) => {
     if (((value | 0) !== value) || value < 4) {
       throw new Error('Invalid smoothScrollDelay(in ms): ' + value);
     }
   },
+  'easing': (value) => {
+    if (!isFunction(value) && !easings.hasOwnProperty(value)) {
+      throw new Error('Invalid easing: ' + value);
+    }
+  },
+  'wheelZoom': (value) => {
+    if (value !== true && value !== false) {
+      throw new Error('Invalid wheelZoom: ' + value);
+    }
+  },
   'touch': (value) => {
   },
   'smoothScroll': (value) => {
   },
+  'liveUpdate': (value) => {
+    if (value !== true && value !== false) {
+      throw new Error('Invalid liveUpdate: ' + value);
+    }
+  },
+  'renderer': (value) => {
+    if (!validRenderers.has(value)) {
+      throw new Error('Invalid renderer: ' + value);
+    }
+  },
+  'sanitize': (value) => {
+    if (value === true || value === false) {
+      return;
+    }
+    const isList = (list) => list === undefined || isSelectorList(list);
+    if (!value || !isList(value.deny) || !isList(value.allow)) {
+      throw new Error('Invalid sanitize: ' + value);
+    }
+  },
+  'include': (value) => {
+    if (!isSelectorList(value)) {
+      throw new Error('Invalid include: ' + value);
+    }
+  },
+  'exclude': (value) => {
+    if (!isSelectorList(value)) {
+      throw new Error('Invalid exclude: ' + value);
+    }
+  },
+  'transformNode': (value) => {
+    if (!value || !isFunction(value)) {
+      throw new Error('Invalid transformNode: ' + value);
+    }
+  },
+  'fixedElements': (value) => {
+    if (!validFixedElements.has(value)) {
+      throw new Error('Invalid fixedElements: ' + value);
+    }
+  },
+  'isolation': (value) => {
+    if (!validIsolations.has(value)) {
+      throw new Error('Invalid isolation: ' + value);
+    }
+  },
+  'shortcuts': (value) => {
+    const isShortcuts = !!value && typeof value === 'object' && !Array.isArray(value);
+    if (!isShortcuts || !Object.keys(value).every((combo) => {
+      return normalizeCombo(combo) !== null && validShortcutActions.has(value[combo]);
+    })) {
+      throw new Error('Invalid shortcuts: ' + value);
+    }
+  },
+  'mirrorState': (value) => {
+    if (value !== true && value !== false) {
+      throw new Error('Invalid mirrorState: ' + value);
+    }
+  },
+  'canvasInterval': (value) => {
+    if (((value | 0) !== value) || value < 0) {
+      throw new Error('Invalid canvasInterval(in ms): ' + value);
+    }
+  },
+  'scrollContainer': (value) => {
+    if (value !== null && !(value instanceof window.HTMLElement)) {
+      throw new Error('Invalid scrollContainer: ' + value);
+    }
+  },
+  'container': (value) => {
+    if (value !== null && !(value instanceof window.HTMLElement)) {
+      throw new Error('Invalid container: ' + value);
+    }
+  },
   'onPreviewChange': (value) => {
     if (!value || !isFunction(value)) {
       throw new Error('Invalid onPreviewChange: ' + value);
     }
+  },
+  'beforeNavigate': (value) => {
+    if (!value || !isFunction(value)) {
+      throw new Error('Invalid beforeNavigate: ' + value);
+    }
   }
 };
 
@@ -129,9 +358,32 @@ class MiniMap {
   constructor (baseElement, options) {
     this.baseElement = baseElement;
     this.shown = false; // if the element is currentlt shown
-    this.mousedown = false; // if the mouse is down (I.E. dragging)
+    this.drag = null; // the pointer id and grab offset of the drag in progress
+    this.dragMoved = false; // if the last drag on the minimap moved, so its click doesn't jump
     this.onSmoothScroll = false; // if smooth scroll is currently happening
-    this.lastTouchType = ''; // the last touch type received
+    this.smoothScrollFrame = null; // the animation frame of the current smooth scroll
+    this.smoothScrollReject = null; // rejects the promise of the current smooth scroll
+    this.lastPointerType = ''; // the type of the last pointer pressed on the minimap or region
+    this.momentumFrame = null; // the animation frame of a flick's momentum
+    this.destroyed = false; // if destroy has been called
+    this.listeners = []; // every listener added, so they can be removed
+    this.pendingRefresh = null; // the animation frame of a batched refresh
+    this.events = {}; // the listeners added with on, keyed by event name
+    this.idPrefix = `minimap-${++instanceCount}-`; // prefixes ids and names in the clone
+    this.cloneIds = new Map(); // original id => id in the clone
+    this.cloneNames = new Map(); // original name => name in the clone
+    this.mirrors = new Map(); // form fields and canvases => their clones
+    this.canvasTimer = null; // the interval mirroring canvases
+    this.overlay = null; // shows fixed elements over the region in 'overlay' mode
+    this.overlayPairs = []; // fixed elements => their clones for the overlay
+    this.host = null; // the shadow host or iframe isolating the preview
+    this.hostRoot = null; // the shadow root or iframe body inside the host
+    this.frame = null; // holds the minimap in the flow of a container
+    this.pendingUpdate = null; // the animation frame of a coalesced scroll or resize update
+    this.pendingResize = false; // if the pending update redraws, not just moves the region
+    this.baseSizeCache = null; // the last measured size of the base element
+    this.regionSize = null; // the outer size of the region, measured on redraw
+    this.resizeObserver = null; // redraws when the base element or a container resizes
 
     const defaults = {
       allowClick: true,
@@ -143,11 +395,28 @@ class MiniMap {
       offsetHeightRatio: 0.035,
       offsetWidthRatio: 0.035,
       position: 'right',
+      axis: 'auto',
       touch: true,
+      wheelZoom: false,
       smoothScroll: true,
       smoothScrollDelay: 200,
+      easing: 'easeInOutCubic',
       onPreviewChange: noop,
-      disableFind: false
+      beforeNavigate: noop,
+      disableFind: false,
+      liveUpdate: false,
+      scrollContainer: null,
+      container: null,
+      renderer: 'clone',
+      sanitize: true,
+      mirrorState: false,
+      canvasInterval: 1000,
+      include: [],
+      exclude: [],
+      transformNode: noop,
+      fixedElements: 'static',
+      isolation: 'none',
+      shortcuts: {}
     };
 
     const settings = this.settings = Object.assign({}, defaults, options);
@@ -156,43 +425,74 @@ class MiniMap {
     // will throw error if any props are invalid
     this._validateProps(settings);
 
-    // clone the element and remove any other minimap elements on the page
-    const miniElement = this.miniElement = cloneNode(baseElement);
-
-    remove(selectAll('.minimap .noselect', miniElement));
-    remove(selectAll('.miniregion', miniElement));
-
-    addClass(miniElement, 'minimap noselect');
-
-    const miniChildren = miniElement.children;
-    let current;
-
-    // if disable find is true, add class 'unsearchable'
-    // as a flag for disableFind function
-    if (settings.disableFind === true) {
-      for (let i = 0; i < miniChildren.length; i++) {
-        current = miniChildren[i];
-        addClass(current, 'unsearchable');
-      }
-    }
-
-    // all the children should ignore pointer events
-    for (let i = 0; i < miniChildren.length; i++) {
-      current = miniChildren[i];
-      cssObjAssign(current, {'pointer-events': 'none'});
+    // clone the element and remove any other minimap elements on the page,
+    // or create the element the base element will be painted into
+    let miniElement;
+    if (settings.renderer === 'canvas') {
+      miniElement = document.createElement('canvas');
+    } else if (settings.renderer === 'svg') {
+      miniElement = document.createElement('div');
+    } else {
+      miniElement = this._cloneBase();
     }
+    this.miniElement = miniElement;
+    addClass(miniElement, 'minimap noselect');
+    // the page itself is already accessible, the preview only duplicates it
+    miniElement.setAttribute('aria-hidden', 'true');
 
     // the region element is the square representing the viewport
     const region = this.region = document.createElement('div');
     addClass(region, 'miniregion');
 
-    // add the minielement and region to the page
-    const body = document.body;
-    body.appendChild(region);
-    body.appendChild(miniElement);
+    // fixed elements of the page follow the region in 'overlay' mode
+    if (settings.renderer === 'clone' && settings.fixedElements === 'overlay') {
+      const overlay = this.overlay = document.createElement('div');
+      addClass(overlay, 'minioverlay noselect');
+      overlay.setAttribute('aria-hidden', 'true');
+      this._fillOverlay();
+    }
+
+    // an isolated preview lives in a shadow root or iframe on the page
+    const host = this.host = createHost(settings.isolation);
+
+    // add the minielement and region to the page, a scroll container gets
+    // them as its next siblings so they can be positioned relative to it
+    const scrollContainer = settings.scrollContainer;
+    const container = settings.container;
+    const elements = this._elements();
+    if (container) {
+      // the frame takes the container's width, and the height of the scaled
+      // preview, in the flow of the container
+      const frame = this.frame = document.createElement('div');
+      addClass(frame, 'minimap miniframe noselect');
+      elements.forEach((element) => {
+        addClass(element, 'contained');
+        frame.appendChild(element);
+      });
+      container.appendChild(frame);
+    } else if (scrollContainer) {
+      const parent = scrollContainer.parentNode;
+      const next = scrollContainer.nextSibling;
+      elements.forEach((element) => {
+        addClass(element, 'contained');
+        parent.insertBefore(element, next);
+      });
+    } else {
+      const body = document.body;
+      elements.forEach((element) => {
+        body.appendChild(element);
+      });
+    }
+    if (host) {
+      const root = this.hostRoot = openHost(host);
+      this._previewElements().forEach((element) => {
+        element.style.position = 'absolute';
+        root.appendChild(element);
+      });
+    }
 
     // disable all elements flagged as unsearchable
-    this._disableFind(selectAll('.unsearchable'));
+    this._disableFind(selectAll('.unsearchable', miniElement));
 
     // generate handlers
     const onScrollHandler = this.onScrollHandler = this._genOnScrollHandler();
@@ -200,43 +500,99 @@ class MiniMap {
 
     onResizeHandler();
 
-    window.addEventListener('resize', onResizeHandler);
-    window.addEventListener('scroll', onScrollHandler);
+    // scroll and resize events only schedule an update for the next frame
+    const passive = {passive: true};
+    const scheduleRedraw = this._genScheduleHandler(true);
+    this._addListener(window, 'resize', scheduleRedraw, passive);
+    this._addListener(scrollContainer || window, 'scroll', this._genScheduleHandler(false), passive);
+
+    // the base element and the containers can change size without the
+    // window resizing, E.G. when images load. Without ResizeObserver only
+    // window resizes redraw and the base element is measured on every update
+    if (window.ResizeObserver) {
+      const resizeObserver = this.resizeObserver = new window.ResizeObserver(scheduleRedraw);
+      [baseElement, scrollContainer, container].forEach((element) => {
+        if (element) {
+          resizeObserver.observe(element);
+        }
+      });
+    }
+
+    // keep form values and canvas pixels of the clone up to date
+    if (settings.mirrorState && settings.renderer === 'clone') {
+      const mirrorHandler = this._genMirrorHandler();
+      this._addListener(document, 'input', mirrorHandler, true);
+      this._addListener(document, 'change', mirrorHandler, true);
+      if (settings.canvasInterval > 0) {
+        this.canvasTimer = window.setInterval(() => {
+          this._mirrorState('CANVAS');
+        }, settings.canvasInterval);
+      }
+    }
+
+    // keep the clone in sync with changes to the base element
+    if (settings.liveUpdate) {
+      const observer = this.observer = new window.MutationObserver(this._genMutationHandler());
+      observer.observe(baseElement, {
+        subtree: true,
+        childList: true,
+        attributes: true,
+        characterData: true
+      });
+    }
 
     // if we are allowing clicks on the element generate and add event handlers
     if (settings.allowClick) {
-      const onMouseUpHandler = this.onMouseUpHandler = this._genOnMouseUpHandler();
-      const onMouseMoveHandler = this.onMouseMoveHandler = this._genOnMouseMoveHandler();
-      const onMouseDownHandler = this.onMouseDownHandler = this._genOnMouseDownHandler();
+      const onPointerDownHandler = this.onPointerDownHandler = this._genOnPointerDownHandler();
+      const onPointerMoveHandler = this.onPointerMoveHandler = this._genOnPointerMoveHandler();
+      const onPointerUpHandler = this.onPointerUpHandler = this._genOnPointerUpHandler();
       const onClickHandler = this.onClickHandler = this._genOnClickHandler();
 
-      document.addEventListener('mouseup', onMouseUpHandler);
-      document.addEventListener('mousemove', onMouseMoveHandler);
-
-      region.addEventListener('mousedown', onMouseDownHandler);
-      region.addEventListener('mouseup', onMouseUpHandler);
-      region.addEventListener('mousemove', onMouseMoveHandler);
-      region.addEventListener('click', onClickHandler);
-
-      miniElement.addEventListener('mousedown', onMouseDownHandler);
-      miniElement.addEventListener('mouseup', onMouseUpHandler);
-      miniElement.addEventListener('mousemove', onMouseMoveHandler);
-      miniElement.addEventListener('click', onClickHandler);
+      // the element pressed captures the pointer, so it gets the whole drag
+      const passive = {passive: true};
+      [region, miniElement].forEach((element) => {
+        this._addListener(element, 'pointerdown', onPointerDownHandler, passive);
+        this._addListener(element, 'pointermove', onPointerMoveHandler, passive);
+        this._addListener(element, 'pointerup', onPointerUpHandler, passive);
+        this._addListener(element, 'pointercancel', onPointerUpHandler, passive);
+        this._addListener(element, 'lostpointercapture', onPointerUpHandler, passive);
+      });
+
+      // clicking outside the region jumps to where it was clicked
+      this._addListener(miniElement, 'click', onClickHandler);
+
+      // the region doubles as a slider for keyboard and assistive technology
+      region.setAttribute('role', 'slider');
+      region.setAttribute('tabindex', '0');
+      region.setAttribute('aria-label', 'Page position');
+      region.setAttribute('aria-valuemin', '0');
+      region.setAttribute('aria-valuemax', '100');
+      const onKeyDownHandler = this.onKeyDownHandler = this._genOnKeyDownHandler();
+      this._addListener(region, 'keydown', onKeyDownHandler);
 
       // only add pointer if click is enabled, otherwise would be confusing
       miniElement.style.cursor = 'pointer';
       region.style.cursor = 'pointer';
     }
 
-    // do we have touch support?
-    if (settings.touch) {
-      const touchHandler = this.touchHandler = this._genTouchHandler();
-      document.addEventListener('touchstart', touchHandler, true);
-      document.addEventListener('touchmove', touchHandler, true);
-      document.addEventListener('touchend', touchHandler, true);
-      document.addEventListener('touchcancel', touchHandler, true);
+    // wheel and trackpad gestures scroll the page or zoom the minimap
+    if (settings.allowClick || settings.wheelZoom) {
+      const onWheelHandler = this.onWheelHandler = this._genOnWheelHandler();
+      this._addListener(miniElement, 'wheel', onWheelHandler, {passive: false});
+      this._addListener(region, 'wheel', onWheelHandler, {passive: false});
+    }
+
+    // touches on the minimap and region drag instead of panning the page,
+    // touches anywhere else are left to the browser
+    if (settings.allowClick && settings.touch) {
+      miniElement.style.touchAction = 'none';
+      region.style.touchAction = 'none';
     }
 
+    // shortcuts can be bound later with setShortcuts, so always listen
+    const onShortcutHandler = this.onShortcutHandler = this._genShortcutHandler();
+    this._addListener(document, 'keydown', onShortcutHandler);
+
     // are we changing opacity on hover?
     if (settings.fadeHover) {
       const fadeSpeed = this.settings.hoverFadeSpeed;
@@ -247,11 +603,11 @@ class MiniMap {
       const mouseOver = this.onMouseOverHandler = this._genMouseOverHandler();
       const mouseOut = this.onMouseOutHandler = this._genMouseOutHandler();
 
-      miniElement.addEventListener('mouseover', mouseOver);
-      miniElement.addEventListener('mouseout', mouseOut);
+      this._addListener(miniElement, 'mouseover', mouseOver);
+      this._addListener(miniElement, 'mouseout', mouseOut);
 
-      region.addEventListener('mouseover', mouseOver);
-      region.addEventListener('mouseout', mouseOut);
+      this._addListener(region, 'mouseover', mouseOver);
+      this._addListener(region, 'mouseout', mouseOut);
     }
 
     // add setters to the Object, this is more concise.
@@ -260,8 +616,11 @@ class MiniMap {
       'widthRatio',
       'offsetHeightRatio',
       'offsetWidthRatio',
+      'axis',
       'smoothScroll',
-      'smoothScrollDelay'
+      'smoothScrollDelay',
+      'easing',
+      'shortcuts'
     ];
     this.addSetters(setters);
   }
@@ -286,223 +645,1194 @@ class MiniMap {
   }
 
   /**
-   * _genMouseOverHandler - creates and returns an event handler function for
-   * the mouseover event, this is added if fadeHover is true
+   * on - Adds a listener for a minimap event
    *
-   * @return {Function}  The generated function
+   * @param  {String}   event    The event name, E.G. 'navigate'
+   * @param  {Function} listener Called with the event's data
+   * @return {MiniMap}           This minimap, for chaining
    */
-  _genMouseOverHandler () {
-    return (e) => {
-      const miniElement = this.miniElement;
-      const region = this.region;
-      const opacity = this.settings.hoverOpacity;
+  on (event, listener) {
+    this._checkDestroyed();
+    this._validateListener(event, listener);
+    if (!this.events[event]) {
+      this.events[event] = [];
+    }
+    this.events[event].push(listener);
+    return this;
+  }
 
-      // filter is for IE 8 combatibility
-      miniElement.style.opacity = `${opacity}`;
-      miniElement.style.filter = `alpha(opacity=${opacity * 100})`;
-      region.style.opacity = `${opacity}`;
-      region.style.filter = `alpha(opacity=${opacity * 100})`;
+  /**
+   * off - Removes a listener added with on or once, or every listener for
+   * the event if listener is omitted
+   *
+   * @param  {String}   event      The event name
+   * @param  {Function} [listener] The listener to remove
+   * @return {MiniMap}             This minimap, for chaining
+   */
+  off (event, listener) {
+    this._checkDestroyed();
+    if (!validEvents.has(event)) {
+      throw new Error('Invalid event: ' + event);
+    }
+    const listeners = this.events[event];
+    if (!listeners) {
+      return this;
+    }
+    if (listener === undefined) {
+      delete this.events[event];
+      return this;
+    }
+    this.events[event] = listeners.filter((current) => {
+      return current !== listener && current.listener !== listener;
+    });
+    return this;
+  }
+
+  /**
+   * once - Adds a listener that is removed after the first time it is called
+   *
+   * @param  {String}   event    The event name
+   * @param  {Function} listener Called with the event's data
+   * @return {MiniMap}           This minimap, for chaining
+   */
+  once (event, listener) {
+    this._validateListener(event, listener);
+    const wrapper = (data) => {
+      this.off(event, wrapper);
+      listener(data);
     };
+    // lets off remove the listener by the function that was passed in
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
   }
 
   /**
-   * _genMouseOutHandler - creates and returns an event handler function for
-   * the mouseout event, this is added if fadeHover is true
+   * _emit - Calls every listener of the event with the data
    *
-   * @return {Function}  The generated function
+   * @param  {String} event  The event name
+   * @param  {Object} [data] The data passed to the listeners
    */
-  _genMouseOutHandler () {
-    return (e) => {
-      const miniElement = this.miniElement;
-      const region = this.region;
+  _emit (event, data) {
+    const listeners = this.events[event];
+    if (!listeners) {
+      return;
+    }
+    // copy, so listeners removing themselves don't affect this loop
+    listeners.slice().forEach((listener) => {
+      listener(data);
+    });
+  }
 
-      miniElement.style.opacity = null;
-      miniElement.style.filter = null;
-      region.style.opacity = null;
-      region.style.filter = null;
-    };
+  /**
+   * _validateListener - throws if the event name or listener are invalid
+   *
+   * @param  {String}   event    The event name
+   * @param  {Function} listener The listener
+   */
+  _validateListener (event, listener) {
+    if (!validEvents.has(event)) {
+      throw new Error('Invalid event: ' + event);
+    }
+    if (!isFunction(listener)) {
+      throw new Error('Invalid listener: ' + listener);
+    }
   }
 
   /**
-   * _genOnResizeHandler - Generates a resize handler function
+   * _addListener - adds an event listener to the target and records it so
+   * that destroy can remove it later
    *
-   * @return {Function}  The generated function
+   * @param {EventTarget}    target    The element, document or window to listen on
+   * @param {String}         type      The event type
+   * @param {Function}       handler   The event handler
+   * @param {Boolean|Object} [options] Whether to listen in the capture phase,
+   *                                   or an object with capture and passive
    */
-  _genOnResizeHandler () {
-    return (e) => {
-      // if the element isn't shown don't worry about resizing
-      if (!this.shown) {
-        return;
-      }
+  _addListener (target, type, handler, options) {
+    const isObject = typeof options === 'object';
+    const capture = isObject ? !!options.capture : !!options;
+    target.addEventListener(type, handler, isObject && supportsPassive ? options : capture);
+    this.listeners.push({target, type, handler, capture});
+  }
 
-      // calculate the appropriate heights for the miniElement and region
-      // for the new page size
-      const settings = this.settings;
-      const scale = this._scale();
-      const scaleCssString = `scale(${scale.x},${scale.y})`;
+  /**
+   * _removeListeners - removes every listener added through _addListener
+   *
+   */
+  _removeListeners () {
+    this.listeners.forEach(({target, type, handler, capture}) => {
+      target.removeEventListener(type, handler, capture);
+    });
+    this.listeners = [];
+  }
 
-      const offsetTop = height(window) * settings.offsetHeightRatio;
-      const offsetLeftRight = width(window) * settings.offsetWidthRatio;
+  /**
+   * _checkDestroyed - throws if the minimap has already been destroyed
+   *
+   */
+  _checkDestroyed () {
+    if (this.destroyed) {
+      throw new Error('MiniMap has been destroyed');
+    }
+  }
 
-      const top = height(this.baseElement) * (scale.y - 1) / 2 + offsetTop;
-      const leftRight = width(this.baseElement) * (scale.x - 1) / 2 + offsetLeftRight;
+  /**
+   * _cloneBase - clones the base element and prepares the clone to be used
+   * as the minimap, removing any other minimaps and disabling pointer events
+   *
+   * @return {Element}  The prepared clone
+   */
+  _cloneBase () {
+    const settings = this.settings;
+    // denied elements are left out while cloning, media would start
+    // loading as soon as it was cloned
+    const lists = settings.sanitize === true ? {} : settings.sanitize;
+    const sanitize = settings.sanitize ? sanitizer(lists) : noop;
+    // once shown, the base element can contain this and other minimaps,
+    // which mustn't reach transformNode, the overlay or the mirrored fields
+    const {clone, pairs} = cloneTree(this.baseElement, (original) => {
+      return original.matches(minimapSelector) ? null : sanitize(original);
+    });
 
-      const thisWidth = width(window) * (1 / scale.x) * settings.widthRatio;
-      const thisHeight = height(window) * (1 / scale.y) * settings.heightRatio;
+    if (settings.sanitize) {
+      sanitizeClone(pairs);
+    }
+    // an isolated clone can't clash with the page, so it keeps the ids and
+    // names the page's css may be selecting
+    const prefix = settings.isolation === 'none' ? this.idPrefix : '';
+    namespaceClone(clone, prefix, this.cloneIds, this.cloneNames);
 
-      const miniElementCss = {
-        '-webkit-transform': scaleCssString,
-        '-moz-transform': scaleCssString,
-        '-ms-transform': scaleCssString,
-        '-o-transform': scaleCssString,
-        'transform': scaleCssString,
-        'top': top + 'px',
-        'width': thisWidth + 'px',
-        'height': thisHeight + 'px',
-        'margin': '0px',
-        'padding': '0px'
-      };
-      miniElementCss[settings.position] = leftRight + 'px';
+    if (settings.include.length || settings.exclude.length) {
+      filterClone(pairs, settings.include, settings.exclude);
+    }
+    pairs.forEach(([original, cloned]) => {
+      settings.transformNode(original, cloned);
+    });
+    this.overlayPairs = fixElements(pairs, settings.fixedElements);
 
-      cssObjAssign(this.miniElement, miniElementCss);
+    // cloning doesn't copy form values or canvas pixels
+    if (settings.mirrorState) {
+      this.mirrors = new Map(pairs.filter((pair) => isMirrored(pair[0])));
+      this._mirrorState();
+    }
 
-      const regionTop = this.baseElement.offsetTop * scale.y;
-      const regionElementCss = {
-        width: width(this.miniElement) + 'px',
-        height: height(window) * scale.y + 'px',
-        margin: '0px',
-        top: window.scrollY * scale.y + offsetTop - regionTop + 'px'
-      };
-      regionElementCss[this.settings.position] = offsetLeftRight + 'px';
+    const children = clone.children;
+    let current;
 
-      cssObjAssign(this.region, regionElementCss);
+    // if disable find is true, add class 'unsearchable'
+    // as a flag for disableFind function
+    if (settings.disableFind === true) {
+      for (let i = 0; i < children.length; i++) {
+        current = children[i];
+        addClass(current, 'unsearchable');
+      }
+    }
 
-      // the preview has changed, notify cb function
-      this.settings.onPreviewChange(this.miniElement, scale);
-    };
+    // all the children should ignore pointer events
+    for (let i = 0; i < children.length; i++) {
+      current = children[i];
+      cssObjAssign(current, {'pointer-events': 'none'});
+    }
+
+    return clone;
   }
 
   /**
-   * _genOnScrollHandler - Generates an on scroll listener
+   * _elements - returns the elements the minimap adds to the page
    *
-   * @return {Function}  The generated function
+   * @return {Array}  The frame in a container, the region and the host, or
+   *                  the preview elements when the preview isn't isolated
    */
-  _genOnScrollHandler () {
-    return (e) => {
-      // don't change anything if element is hidden
-      if (!this.shown) {
-        return;
-      }
-      // calculate the position of the viewport relative to the page scroll
-      // and change the region's position to reflect this
-      const scale = this._scale();
-      const offsetTop = height(window) * this.settings.offsetHeightRatio;
-      const top = this.baseElement.offsetTop * scale.y;
-      const pos = window.scrollY * scale.y;
-      const regionHeight = outerHeight(this.region);
-      const bottom = outerHeight(this.baseElement) * scale.y + top;
-
-      if (pos + regionHeight + offsetTop < top || pos > bottom) {
-        cssObjAssign(this.region, {display: 'none'});
-      } else {
-        cssObjAssign(this.region, {top: offsetTop + pos + 'px', display: 'block'});
-      }
-    };
+  _elements () {
+    if (this.frame) {
+      return [this.frame];
+    }
+    if (this.host) {
+      return [this.region, this.host];
+    }
+    return [this.region].concat(this._previewElements());
   }
 
   /**
-   * _genOnMouseUpHandler - Generates a handler function for the mouse up event
+   * _previewElements - returns the elements showing the base element
    *
-   * @return {Function}  The generated function
+   * @return {Array}  The mini element and overlay if there is one
    */
-  _genOnMouseUpHandler () {
-    return (e) => {
-      // once the mouse is up we are no longer dragging
-      this.mousedown = false;
-      removeClass(this.baseElement, 'noselect');
-      removeClass(this.region, 'dragging');
-    };
+  _previewElements () {
+    const elements = [this.miniElement];
+    if (this.overlay) {
+      elements.push(this.overlay);
+    }
+    return elements;
   }
 
   /**
-   * _genOnMouseMoveHandler - Generates a handler function for
-   * the mouse move event
+   * _fillOverlay - Moves the clones of the page's fixed elements into the
+   * overlay, where they sit as they do in the viewport
    *
-   * @return {Function}  The generated function
    */
-  _genOnMouseMoveHandler () {
-    return (e) => {
-      // if the mouse isn't down or we are smooth scrolling, ignore
-      if (!this.mousedown || this.onSmoothScroll) {
-        return;
-      }
-      this.scrollTop(e);
-    };
+  _fillOverlay () {
+    const overlay = this.overlay;
+    while (overlay.firstChild) {
+      overlay.removeChild(overlay.firstChild);
+    }
+    this.overlayPairs.forEach(([original, clone]) => {
+      const rect = original.getBoundingClientRect();
+      cssObjAssign(clone, {
+        'position': 'absolute',
+        'top': rect.top + 'px',
+        'left': rect.left + 'px',
+        'right': 'auto',
+        'bottom': 'auto',
+        'margin': '0px',
+        'width': rect.width + 'px',
+        'height': rect.height + 'px',
+        'box-sizing': 'border-box',
+        'pointer-events': 'none'
+      });
+      overlay.appendChild(clone);
+    });
   }
 
   /**
-   * _genOnMouseDownHandler - Generates a handler function for
-   * the mouse down event
+   * _mirrorState - Copies the form values and canvas pixels of the base
+   * element onto the clone
    *
-   * @return {Function}  The generated function
+   * @param  {String} [tagName] Only mirror elements with this tag name
    */
-  _genOnMouseDownHandler () {
-    return (e) => {
-      // the mouse is down and we are dragging
-      this.mousedown = true;
-      addClass(this.baseElement, 'noselect');
-      addClass(this.region, 'dragging');
-    };
+  _mirrorState (tagName) {
+    this.mirrors.forEach((clone, original) => {
+      if (!tagName || original.tagName.toUpperCase() === tagName) {
+        mirrorState(original, clone);
+      }
+    });
   }
 
   /**
-   * _genOnClickHandler - Generates a handler function for the click event
+   * _genMirrorHandler - Generates an input and change handler that mirrors
+   * form fields of the base element onto the clone
    *
    * @return {Function}  The generated function
    */
-  _genOnClickHandler () {
+  _genMirrorHandler () {
     return (e) => {
-      this.scrollTop(e);
-      // if we clicked, we are no longer dragging.
-      this.mousedown = false;
+      // checking a radio button unchecks others without an event,
+      // so every field is mirrored rather than just the target
+      if (this.mirrors.has(e.target)) {
+        this.mirrors.forEach((clone, original) => {
+          if (original.tagName.toUpperCase() !== 'CANVAS') {
+            mirrorState(original, clone);
+          }
+        });
+      }
     };
   }
 
   /**
-   * _genTouchHandler - Generates a handler function for touch events
+   * refresh - Re-clones the children of the base element into the minimap,
+   * or repaints it, and redraws it, picking up any changes made to the
+   * page since, stylesheets included when the preview is isolated
    *
-   * @return {Function }  The generated function
    */
-  _genTouchHandler () {
-    return (e) => {
-      var touches = e.changedTouches;
+  refresh () {
+    this._checkDestroyed();
+    this.baseSizeCache = null;
+    if (this.hostRoot) {
+      copyStyleSheets(this.hostRoot);
+    }
+    // drawn renderers are repainted by the resize handler
+    if (this.settings.renderer === 'clone') {
+      const miniElement = this.miniElement;
+      const clone = this._cloneBase();
 
-      if (touches.length > 1) {
-        return;
+      while (miniElement.firstChild) {
+        miniElement.removeChild(miniElement.firstChild);
       }
-
-      var touch = touches[0];
-      var events = ['touchstart', 'touchmove', 'touchend'];
-      var mouseEvents = ['mousedown', 'mousemove', 'mouseup'];
-      var ev = events.indexOf(e.type);
-
-      if (ev === -1) {
-        return;
+      while (clone.firstChild) {
+        miniElement.appendChild(clone.firstChild);
       }
 
-      var type = mouseEvents[ev];
-      if (e.type === events[2] && this.lastTouchType === events[0]) {
-        type = 'click';
+      this._disableFind(selectAll('.unsearchable', miniElement));
+      if (this.overlay) {
+        this._fillOverlay();
       }
+    }
+    this.onResizeHandler();
+  }
+
+  /**
+   * _paint - Paints the base element into the mini element of the canvas
+   * and svg renderers
+   *
+   * @param  {Object} baseSize The size returned by _baseSize
+   * @param  {Object} scale    The scale returned by _scale
+   */
+  _paint (baseSize, scale) {
+    const boxes = this._collectBoxes();
+    if (this.settings.renderer === 'canvas') {
+      paintCanvas(this.miniElement, boxes, baseSize, scale);
+    } else {
+      renderSVG(this.miniElement, boxes, baseSize);
+    }
+  }
+
+  /**
+   * _collectBoxes - Collects the layout boxes of the base element, leaving
+   * out the minimap itself
+   *
+   * @return {Array}  The boxes returned by collectBoxes
+   */
+  _collectBoxes () {
+    return collectBoxes(this.baseElement, this._baseOrigin(), (element) => {
+      return this._elements().indexOf(element) !== -1;
+    });
+  }
+
+  /**
+   * toSVG - Exports a vector outline of the base element, the same one the
+   * svg renderer shows, as a standalone svg document
+   *
+   * @return {String}  The svg markup
+   */
+  toSVG () {
+    this._checkDestroyed();
+    return toSVGString(this._collectBoxes(), this._baseSize());
+  }
+
+  /**
+   * _genMutationHandler - Generates a MutationObserver callback that batches
+   * mutations of the base element into a single refresh per animation frame
+   *
+   * @return {Function}  The generated function
+   */
+  _genMutationHandler () {
+    return (mutations) => {
+      const relevant = mutations.some((mutation) => {
+        const target = mutation.target;
+        // the minimap only mirrors the children of the base element
+        if (target === this.baseElement && mutation.type === 'attributes') {
+          return false;
+        }
+        // ignore the updates of this and other minimaps living inside the
+        // base element, or each refresh would make the others refresh
+        const element = target.nodeType === 1 ? target : target.parentNode;
+        if (element && element.closest(minimapSelector)) {
+          return false;
+        }
+        if (mutation.type === 'childList') {
+          const nodes = Array.from(mutation.addedNodes).concat(Array.from(mutation.removedNodes));
+          return nodes.some((node) => node.nodeType !== 1 || !node.matches(minimapSelector));
+        }
+        return true;
+      });
+
+      if (relevant && this.pendingRefresh === null) {
+        this.pendingRefresh = window.requestAnimationFrame(() => {
+          this.pendingRefresh = null;
+          this.refresh();
+        });
+      }
+    };
+  }
+
+  /**
+   * _genMouseOverHandler - creates and returns an event handler function for
+   * the mouseover event, this is added if fadeHover is true
+   *
+   * @return {Function}  The generated function
+   */
+  _genMouseOverHandler () {
+    return (e) => {
+      const miniElement = this.miniElement;
+      const region = this.region;
+      const opacity = this.settings.hoverOpacity;
+
+      // filter is for IE 8 combatibility
+      miniElement.style.opacity = `${opacity}`;
+      miniElement.style.filter = `alpha(opacity=${opacity * 100})`;
+      region.style.opacity = `${opacity}`;
+      region.style.filter = `alpha(opacity=${opacity * 100})`;
+    };
+  }
+
+  /**
+   * _genMouseOutHandler - creates and returns an event handler function for
+   * the mouseout event, this is added if fadeHover is true
+   *
+   * @return {Function}  The generated function
+   */
+  _genMouseOutHandler () {
+    return (e) => {
+      const miniElement = this.miniElement;
+      const region = this.region;
+
+      miniElement.style.opacity = null;
+      miniElement.style.filter = null;
+      region.style.opacity = null;
+      region.style.filter = null;
+    };
+  }
+
+  /**
+   * _genScheduleHandler - Generates a scroll or resize listener, also used
+   * as the ResizeObserver callback, that coalesces events into a single
+   * update per animation frame
+   *
+   * @param  {Boolean} resize Whether the update has to redraw the minimap
+   * @return {Function}       The generated function
+   */
+  _genScheduleHandler (resize) {
+    return (e) => {
+      if (resize) {
+        // whatever resized can have resized the base element too
+        this.baseSizeCache = null;
+        this.pendingResize = true;
+      }
+      if (this.pendingUpdate !== null) {
+        return;
+      }
+      this.pendingUpdate = window.requestAnimationFrame(() => {
+        const redraw = this.pendingResize;
+        this.pendingUpdate = null;
+        this.pendingResize = false;
+        if (redraw) {
+          // the page's fixed elements can have moved or resized with it
+          if (this.overlay) {
+            this._fillOverlay();
+          }
+          this.onResizeHandler();
+        } else {
+          this.onScrollHandler();
+        }
+      });
+    };
+  }
+
+  /**
+   * _genOnResizeHandler - Generates a resize handler function
+   *
+   * @return {Function}  The generated function
+   */
+  _genOnResizeHandler () {
+    return (e) => {
+      // if the element isn't shown don't worry about resizing
+      if (!this.shown) {
+        return;
+      }
+
+      // calculate the appropriate heights for the miniElement and region
+      // for the new page size
+      const settings = this.settings;
+      const viewport = this._viewport();
+      const baseSize = this._baseSize();
+      const scale = this._scale();
+      const scaleCssString = `scale(${scale.x},${scale.y})`;
+
+      // the mini element keeps the size of the base element and is scaled
+      // down from its top left corner
+      const box = this._miniBox(viewport, baseSize, scale);
+
+      const miniElementCss = {
+        '-webkit-transform': scaleCssString,
+        '-moz-transform': scaleCssString,
+        '-ms-transform': scaleCssString,
+        '-o-transform': scaleCssString,
+        'transform': scaleCssString,
+        '-webkit-transform-origin': '0 0',
+        '-moz-transform-origin': '0 0',
+        '-ms-transform-origin': '0 0',
+        '-o-transform-origin': '0 0',
+        'transform-origin': '0 0',
+        'top': box.top + 'px',
+        'left': box.left + 'px',
+        'width': baseSize.width + 'px',
+        'height': baseSize.height + 'px',
+        'margin': '0px',
+        'padding': '0px'
+      };
+      // the frame makes room for the scaled preview in the container
+      if (this.frame) {
+        this.frame.style.height = box.height + 'px';
+      }
+      // the host takes the place of an isolated mini element on the page
+      if (this.host) {
+        cssObjAssign(this.host, {
+          'top': box.top + 'px',
+          'left': box.left + 'px',
+          'width': box.width + 'px',
+          'height': box.height + 'px'
+        });
+        miniElementCss.top = '0px';
+        miniElementCss.left = '0px';
+      }
+      // a scrollable base element is shown in full, not just its visible part
+      if (this.baseElement === settings.scrollContainer) {
+        miniElementCss['overflow'] = 'hidden';
+      }
+
+      cssObjAssign(this.miniElement, miniElementCss);
+      if (settings.renderer !== 'clone') {
+        this._paint(baseSize, scale);
+      }
+
+      // the region spans the whole minimap along an axis it doesn't track
+      const axis = this._axis();
+      const regionElementCss = {margin: '0px', display: 'block'};
+      if (axis === 'y') {
+        regionElementCss.width = box.width + 'px';
+        regionElementCss.left = box.left + 'px';
+      } else {
+        regionElementCss.width = viewport.width * scale.x + 'px';
+      }
+      if (axis === 'x') {
+        regionElementCss.height = box.height + 'px';
+        regionElementCss.top = box.top + 'px';
+      } else {
+        regionElementCss.height = viewport.height * scale.y + 'px';
+      }
+
+      cssObjAssign(this.region, regionElementCss);
+      if (settings.allowClick) {
+        this.region.setAttribute('aria-orientation', axis === 'x' ? 'horizontal' : 'vertical');
+      }
+      // measured once here so scrolling doesn't compute styles
+      this.regionSize = {
+        width: outerWidth(this.region),
+        height: outerHeight(this.region)
+      };
+
+      // the overlay is a scaled down viewport
+      if (this.overlay) {
+        cssObjAssign(this.overlay, {
+          '-webkit-transform': scaleCssString,
+          '-moz-transform': scaleCssString,
+          '-ms-transform': scaleCssString,
+          '-o-transform': scaleCssString,
+          'transform': scaleCssString,
+          '-webkit-transform-origin': '0 0',
+          '-moz-transform-origin': '0 0',
+          '-ms-transform-origin': '0 0',
+          '-o-transform-origin': '0 0',
+          'transform-origin': '0 0',
+          'width': viewport.width + 'px',
+          'height': viewport.height + 'px'
+        });
+      }
+      this.onScrollHandler();
+
+      // the preview has changed, notify cb function
+      this.settings.onPreviewChange(this.miniElement, scale);
+      this._emit('redraw', {scale});
+    };
+  }
+
+  /**
+   * _genOnScrollHandler - Generates an on scroll listener
+   *
+   * @return {Function}  The generated function
+   */
+  _genOnScrollHandler () {
+    return (e) => {
+      // don't change anything if element is hidden
+      if (!this.shown) {
+        return;
+      }
+      // calculate the position of the viewport relative to the page scroll
+      // and change the region's position to reflect this
+      const axis = this._axis();
+      const scale = this._scale();
+      const baseSize = this._baseSize();
+      const box = this._miniBox(this._viewport(), baseSize, scale);
+      const scroll = this._scrollPosition();
+      const baseOffset = this._baseOffset();
+      // read with the rest, reading after the styles are written below
+      // would lay the page out a second time
+      const maxScroll = this._maxScroll();
+      const regionCss = {display: 'block'};
+      let visible = true;
+
+      if (axis !== 'x') {
+        const pos = (scroll.y - baseOffset.top) * scale.y;
+        const regionHeight = this.regionSize.height;
+        const bottom = baseSize.height * scale.y;
+        visible = !(pos + regionHeight < 0 || pos > bottom);
+        regionCss.top = box.top + pos + 'px';
+      }
+      if (axis !== 'y') {
+        const pos = (scroll.x - baseOffset.left) * scale.x;
+        const regionWidth = this.regionSize.width;
+        const right = baseSize.width * scale.x;
+        visible = visible && !(pos + regionWidth < 0 || pos > right);
+        regionCss.left = box.left + pos + 'px';
+      }
+
+      if (!visible) {
+        cssObjAssign(this.region, {display: 'none'});
+      } else {
+        cssObjAssign(this.region, regionCss);
+      }
+      // fixed elements stay in the viewport, so the overlay follows the region,
+      // inside the host when the preview is isolated
+      if (this.overlay) {
+        const regionStyle = this.region.style;
+        const origin = this.host ? box : {top: 0, left: 0};
+        cssObjAssign(this.overlay, {
+          top: parseFloat(regionStyle.top) - origin.top + 'px',
+          left: parseFloat(regionStyle.left) - origin.left + 'px',
+          display: regionStyle.display
+        });
+      }
+      if (this.settings.allowClick) {
+        this._updateSliderValue(scroll, maxScroll);
+      }
+      this._emit('regionmove', {
+        top: parseFloat(this.region.style.top),
+        left: parseFloat(this.region.style.left),
+        visible: visible
+      });
+    };
+  }
+
+  /**
+   * _updateSliderValue - sets the aria value of the region to the scroll
+   * position along the axis it tracks, as a percentage
+   *
+   * @param  {Object} scroll    The position returned by _scrollPosition
+   * @param  {Object} maxScroll The maximum returned by _maxScroll
+   */
+  _updateSliderValue (scroll, maxScroll) {
+    const key = this._axis() === 'x' ? 'x' : 'y';
+    const max = maxScroll[key];
+    const value = max > 0 ? Math.round(scroll[key] / max * 100) : 0;
+    if (this.region.getAttribute('aria-valuenow') !== String(value)) {
+      this.region.setAttribute('aria-valuenow', value);
+      this.region.setAttribute('aria-valuetext', value + '%');
+    }
+  }
+
+  /**
+   * _genOnKeyDownHandler - Generates a handler function for the keydown
+   * event of the region, the arrow keys scroll a step, page up and page down
+   * a viewport and home and end to the start or end of the page
+   *
+   * @return {Function}  The generated function
+   */
+  _genOnKeyDownHandler () {
+    return (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || !this.shown) {
+        return;
+      }
+      const axis = this._axis();
+      const viewport = this._viewport();
+      const max = this._maxScroll();
+      const current = this._scrollPosition();
+      const target = {x: current.x, y: current.y};
+      // a single axis is moved by either pair of arrow keys
+      const horizontalArrows = axis === 'both' ? 'x' : axis;
+      const verticalArrows = axis === 'both' ? 'y' : axis;
+      // the page keys move along the main axis
+      const main = axis === 'x' ? 'x' : 'y';
+      const page = main === 'x' ? viewport.width : viewport.height;
+      let smooth = this.settings.smoothScroll;
+
+      switch (e.key) {
+        case 'ArrowUp':
+        case 'Up':
+          target[verticalArrows] -= arrowKeyStep;
+          smooth = false;
+          break;
+        case 'ArrowDown':
+        case 'Down':
+          target[verticalArrows] += arrowKeyStep;
+          smooth = false;
+          break;
+        case 'ArrowLeft':
+        case 'Left':
+          target[horizontalArrows] -= arrowKeyStep;
+          smooth = false;
+          break;
+        case 'ArrowRight':
+        case 'Right':
+          target[horizontalArrows] += arrowKeyStep;
+          smooth = false;
+          break;
+        case 'PageUp':
+          target[main] -= page;
+          break;
+        case 'PageDown':
+          target[main] += page;
+          break;
+        case 'Home':
+          target[main] = 0;
+          break;
+        case 'End':
+          target[main] = max[main];
+          break;
+        default:
+          return;
+      }
+      // the keys would scroll the page a second time otherwise
+      e.preventDefault();
+      this._navigate(target, 'keyboard', smooth, e).catch(noop);
+    };
+  }
+
+  /**
+   * _genOnWheelHandler - Generates a handler function for the wheel event of
+   * the minimap and region, scrolling the page as far as the wheel would
+   * scroll the minimap, or zooming the minimap with ctrl held if wheelZoom
+   *
+   * @return {Function}  The generated function
+   */
+  _genOnWheelHandler () {
+    return (e) => {
+      const settings = this.settings;
+      if (!this.shown) {
+        return;
+      }
+      const delta = this._wheelDelta(e);
+      // pinching a trackpad also sends ctrl+wheel
+      if (e.ctrlKey) {
+        // otherwise the browser zooms the page as usual
+        if (settings.wheelZoom && !settings.container) {
+          e.preventDefault();
+          this._zoom(Math.exp(-delta.y * wheelZoomSpeed));
+        }
+        return;
+      }
+      if (!settings.allowClick) {
+        return;
+      }
+
+      const axis = this._axis();
+      const scale = this._scale();
+      // nothing is drawn at a zero scale, E.G. in a collapsed container
+      if (!scale.x || !scale.y) {
+        return;
+      }
+      const current = this._scrollPosition();
+      const target = {x: current.x, y: current.y};
+      if (axis === 'y') {
+        target.y += delta.y / scale.y;
+      } else if (axis === 'x') {
+        // a plain mouse wheel only scrolls vertically
+        target.x += (delta.x || delta.y) / scale.x;
+      } else {
+        target.x += delta.x / scale.x;
+        target.y += delta.y / scale.y;
+      }
+      e.preventDefault();
+      this._navigate(target, 'wheel', false, e).catch(noop);
+    };
+  }
+
+  /**
+   * _wheelDelta - converts the deltas of a wheel event to pixels
+   *
+   * @param  {WheelEvent} e The wheel event
+   * @return {Object}       Object containing the x and y deltas in pixels
+   */
+  _wheelDelta (e) {
+    let unit = 1;
+    if (e.deltaMode === 1) {
+      // lines
+      unit = arrowKeyStep;
+    } else if (e.deltaMode === 2) {
+      // pages
+      unit = this._viewport().height;
+    }
+    return {x: e.deltaX * unit, y: e.deltaY * unit};
+  }
+
+  /**
+   * _zoom - scales heightRatio and widthRatio by the factor, as far as they
+   * stay valid, and redraws the minimap
+   *
+   * @param  {Number} factor The factor, greater than 1 to zoom in
+   */
+  _zoom (factor) {
+    const settings = this.settings;
+    const heightRatio = settings.heightRatio;
+    const widthRatio = settings.widthRatio;
+    const max = Math.min(1 / heightRatio, 0.5 / widthRatio);
+    const min = Math.min(minZoomRatio / heightRatio, 1);
+    factor = Math.min(Math.max(factor, min), max);
+    if (factor === 1) {
+      return;
+    }
+    settings.heightRatio = heightRatio * factor;
+    settings.widthRatio = widthRatio * factor;
+    this.onResizeHandler();
+  }
+
+  /**
+   * _genShortcutHandler - Generates a handler function for the keydown event
+   * of the document that runs the action bound to the pressed combo
+   *
+   * @return {Function}  The generated function
+   */
+  _genShortcutHandler () {
+    return (e) => {
+      const shortcuts = this.settings.shortcuts;
+      const combos = Object.keys(shortcuts);
+      // the region's own keys have already been handled
+      if (!combos.length || e.defaultPrevented) {
+        return;
+      }
+      // typing in a field inside a shadow root retargets the event to its host
+      const target = e.composedPath ? e.composedPath()[0] : e.target;
+      if (isEditable(target)) {
+        return;
+      }
+      const pressed = eventCombos(e);
+      const combo = combos.find((combo) => pressed.indexOf(normalizeCombo(combo)) !== -1);
+      if (combo === undefined) {
+        return;
+      }
+      e.preventDefault();
+      this._runShortcut(shortcuts[combo], e);
+    };
+  }
+
+  /**
+   * _runShortcut - runs the action of a shortcut
+   *
+   * @param  {String} action One of the shortcut actions, E.G. 'toggle'
+   * @param  {Event}  e      The keydown event
+   */
+  _runShortcut (action, e) {
+    const main = this._axis() === 'x' ? 'x' : 'y';
+    const current = this._scrollPosition();
+    const target = {x: current.x, y: current.y};
+
+    switch (action) {
+      case 'toggle':
+        this.toggle();
+        return;
+      case 'focus':
+        this.show();
+        this.region.focus();
+        return;
+      case 'nextSection':
+      case 'previousSection': {
+        const section = this._findSection(action === 'nextSection' ? 1 : -1);
+        if (section === undefined) {
+          return;
+        }
+        target[main] = section;
+        break;
+      }
+      case 'top':
+        target[main] = 0;
+        break;
+      case 'bottom':
+        target[main] = this._maxScroll()[main];
+        break;
+    }
+    this._navigate(target, 'keyboard', this.settings.smoothScroll, e).catch(noop);
+  }
+
+  /**
+   * _findSection - finds the scroll position of the next or previous heading
+   * in the base element along the axis the region tracks
+   *
+   * @param  {Number} direction 1 for the next heading, -1 for the previous
+   * @return {Number}           The scroll position, or undefined if there is
+   *                            no heading in that direction
+   */
+  _findSection (direction) {
+    const main = this._axis() === 'x' ? 'x' : 'y';
+    const current = this._scrollPosition()[main];
+    const elements = this._elements();
+    const positions = Array.from(selectAll(sectionSelector, this.baseElement))
+      .filter((heading) => !elements.some((element) => element.contains(heading)))
+      .map((heading) => {
+        const offset = this._elementOffset(heading);
+        return main === 'x' ? offset.left : offset.top;
+      })
+      .sort((a, b) => a - b);
+
+    // a heading already at the start of the viewport is the current section
+    if (direction > 0) {
+      return positions.find((position) => position > current + 1);
+    }
+    return positions.reverse().find((position) => position < current - 1);
+  }
+
+  /**
+   * _genOnPointerDownHandler - Generates a handler function for the
+   * pointerdown event of the region and the minimap, which starts a drag.
+   * The region keeps the pointer where it was grabbed, pressing the minimap
+   * outside of it grabs the region by its center
+   *
+   * @return {Function}  The generated function
+   */
+  _genOnPointerDownHandler () {
+    return (e) => {
+      // only the primary mouse button drags, touches and pens have button 0 too
+      if (e.button !== 0 || this.drag || !this.shown) {
+        return;
+      }
+      this.lastPointerType = e.pointerType;
+      if (e.pointerType === 'touch' && !this.settings.touch) {
+        return;
+      }
+      let grab;
+      if (e.currentTarget === this.region) {
+        const point = this._clientPoint(e);
+        const regionRect = this.region.getBoundingClientRect();
+        grab = {x: point.x - regionRect.left, y: point.y - regionRect.top};
+      } else {
+        grab = {x: this.regionSize.width / 2, y: this.regionSize.height / 2};
+      }
+      if (e.currentTarget.setPointerCapture) {
+        e.currentTarget.setPointerCapture(e.pointerId);
+      }
+
+      // dragging takes over from any smooth scroll or flick still going
+      this._stopSmoothScroll();
+      this._stopMomentum();
+      this.drag = {
+        pointerId: e.pointerId,
+        grab: grab,
+        element: e.currentTarget,
+        samples: [],
+        started: false
+      };
+      this.dragMoved = false;
+    };
+  }
+
+  /**
+   * _genOnPointerMoveHandler - Generates a handler function for the
+   * pointermove event, which moves the region with the pointer while dragging
+   *
+   * @return {Function}  The generated function
+   */
+  _genOnPointerMoveHandler () {
+    return (e) => {
+      const drag = this.drag;
+      if (!drag || e.pointerId !== drag.pointerId) {
+        return;
+      }
+      // a plain click or tap isn't a drag, so it starts with the first move
+      if (!drag.started) {
+        drag.started = true;
+        addClass(this.baseElement, 'noselect');
+        addClass(this.region, 'dragging');
+        this._emit('dragstart');
+      }
+      // the region's top left corner stays at the grab offset from the pointer
+      const axis = this._axis();
+      const scale = this._scale();
+      if (!scale.x || !scale.y) {
+        return;
+      }
+      const point = this._clientPoint(e);
+      const miniRect = this._miniRect();
+      const baseOffset = this._baseOffset();
+      const current = this._scrollPosition();
+      const target = {x: current.x, y: current.y};
+
+      if (axis !== 'x') {
+        target.y = baseOffset.top + (point.y - drag.grab.y - miniRect.top) / scale.y;
+      }
+      if (axis !== 'y') {
+        target.x = baseOffset.left + (point.x - drag.grab.x - miniRect.left) / scale.x;
+      }
+      // the latest moves tell how fast the region was flicked
+      drag.samples.push({time: e.timeStamp, x: point.x, y: point.y});
+      while (e.timeStamp - drag.samples[0].time > flickWindow) {
+        drag.samples.shift();
+      }
+      // only a drag started on the minimap ends with a click on it
+      this.dragMoved = drag.element === this.miniElement;
+      const source = e.pointerType === 'touch' ? 'touch' : 'drag';
+      this._navigate(target, source, false, e).catch(noop);
+    };
+  }
 
-      var simulatedEvent = document.createEvent('MouseEvent');
-      simulatedEvent.initMouseEvent(type, true, true, window, 1,
-            touch.screenX, touch.screenY,
-            touch.clientX, touch.clientY, false,
-            false, false, false, 0, null);
-      touch.target.dispatchEvent(simulatedEvent);
-      e.preventDefault();
-      this.lastTouchType = e.type;
+  /**
+   * _genOnPointerUpHandler - Generates a handler function for the pointerup,
+   * pointercancel and lostpointercapture events, which end the drag
+   *
+   * @return {Function}  The generated function
+   */
+  _genOnPointerUpHandler () {
+    return (e) => {
+      const drag = this.drag;
+      if (!drag || e.pointerId !== drag.pointerId) {
+        return;
+      }
+      this._endDrag();
+      // a touch lifted off the region while moving flicks it
+      if (e.type === 'pointerup' && e.pointerType === 'touch' && drag.element === this.region) {
+        const velocity = this._flickVelocity(drag.samples, e.timeStamp);
+        if (velocity) {
+          this._startMomentum(velocity);
+        }
+      }
+    };
+  }
+
+  /**
+   * _flickVelocity - calculates how fast the pointer moved at the end of a
+   * drag
+   *
+   * @param  {Array}  samples The times and positions of the last moves
+   * @param  {Number} time    The time the pointer was lifted
+   * @return {Object}         Object containing the x and y velocity in
+   *                          pixels per ms, or null if it was too slow
+   */
+  _flickVelocity (samples, time) {
+    if (samples.length < 2 || time - samples[samples.length - 1].time > flickWindow / 2) {
+      return null;
+    }
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const duration = last.time - first.time;
+    if (duration <= 0) {
+      return null;
+    }
+    const velocity = {
+      x: (last.x - first.x) / duration,
+      y: (last.y - first.y) / duration
+    };
+    if (Math.abs(velocity.x) < minMomentumSpeed && Math.abs(velocity.y) < minMomentumSpeed) {
+      return null;
+    }
+    return velocity;
+  }
+
+  /**
+   * _startMomentum - keeps moving the region after a flick, slowing down
+   * every frame until it stops, reaches the end of the page or the page is
+   * scrolled some other way
+   *
+   * @param  {Object} velocity The x and y velocity in minimap pixels per ms
+   */
+  _startMomentum (velocity) {
+    let last = null;
+    let expected = this._scrollPosition();
+    const step = (time) => {
+      this.momentumFrame = null;
+      const elapsed = last === null ? 16 : time - last;
+      last = time;
+      const friction = Math.pow(momentumFriction, elapsed / 16);
+      velocity = {x: velocity.x * friction, y: velocity.y * friction};
+
+      const current = this._scrollPosition();
+      const scrolledAway = Math.abs(current.x - expected.x) > 1 || Math.abs(current.y - expected.y) > 1;
+      const tooSlow = Math.abs(velocity.x) < minMomentumSpeed && Math.abs(velocity.y) < minMomentumSpeed;
+      if (scrolledAway || tooSlow || !this.shown) {
+        return;
+      }
+
+      const axis = this._axis();
+      const scale = this._scale();
+      if (!scale.x || !scale.y) {
+        return;
+      }
+      const target = {x: current.x, y: current.y};
+      if (axis !== 'x') {
+        target.y += velocity.y * elapsed / scale.y;
+      }
+      if (axis !== 'y') {
+        target.x += velocity.x * elapsed / scale.x;
+      }
+      expected = this._clampScroll(target);
+      if (expected.x === current.x && expected.y === current.y) {
+        return;
+      }
+      this._navigate(target, 'touch', false).catch(noop);
+      // scrolled as far as the window or container lets it, E.G. to a pixel
+      expected = this._scrollPosition();
+      this.momentumFrame = window.requestAnimationFrame(step);
+    };
+    this.momentumFrame = window.requestAnimationFrame(step);
+  }
+
+  /**
+   * _stopMomentum - stops the momentum of a flick, if there is one
+   *
+   */
+  _stopMomentum () {
+    if (this.momentumFrame !== null) {
+      window.cancelAnimationFrame(this.momentumFrame);
+      this.momentumFrame = null;
+    }
+  }
+
+  /**
+   * _endDrag - stops dragging, the pointerup and lostpointercapture
+   * handlers can both get the end of the same drag. Only a drag that moved
+   * emits dragend
+   *
+   */
+  _endDrag () {
+    const drag = this.drag;
+    if (!drag) {
+      return;
+    }
+    this.drag = null;
+    if (drag.started) {
+      removeClass(this.baseElement, 'noselect');
+      removeClass(this.region, 'dragging');
+      this._emit('dragend');
+    }
+  }
+
+  /**
+   * _clientPoint - returns the position of a pointer event relative to the
+   * viewport of the page, events from inside an isolating iframe are
+   * relative to the iframe
+   *
+   * @param  {Event} e The pointer event
+   * @return {Object}  Object containing the x and y position
+   */
+  _clientPoint (e) {
+    const point = {x: e.clientX, y: e.clientY};
+    if (this.host && e.view && e.view !== window) {
+      const hostRect = this.host.getBoundingClientRect();
+      point.x += hostRect.left + this.host.clientLeft;
+      point.y += hostRect.top + this.host.clientTop;
+    }
+    return point;
+  }
+
+  /**
+   * _miniRect - returns the bounding rect of the mini element relative to
+   * the viewport of the page, like _clientPoint
+   *
+   * @return {Object}  Object containing the top and left
+   */
+  _miniRect () {
+    const rect = this.miniElement.getBoundingClientRect();
+    const host = this.host;
+    if (!host || host.tagName !== 'IFRAME') {
+      return {top: rect.top, left: rect.left};
+    }
+    const hostRect = host.getBoundingClientRect();
+    return {
+      top: rect.top + hostRect.top + host.clientTop,
+      left: rect.left + hostRect.left + host.clientLeft
+    };
+  }
+
+  /**
+   * _genOnClickHandler - Generates a handler function for the click event
+   * of the minimap
+   *
+   * @return {Function}  The generated function
+   */
+  _genOnClickHandler () {
+    return (e) => {
+      // a drag ends with a click where the region already is
+      if (this.dragMoved) {
+        this.dragMoved = false;
+        return;
+      }
+      this.scrollTop(e);
     };
   }
 
@@ -513,61 +1843,250 @@ class MiniMap {
    * @param  {Event} e The mouse event
    */
   scrollTop (e) {
+    this._checkDestroyed();
     if (!this.shown) {
       return;
     }
 
+    // the clicked point on the minimap becomes the center of the viewport
+    // along each axis the region tracks
+    const axis = this._axis();
     const scale = this._scale();
-    const offsetTop = height(window) * this.settings.offsetHeightRatio;
-    const top = this.baseElement.offsetTop * scale.y;
-    const regionHeight = outerHeight(this.region);
+    if (!scale.x || !scale.y) {
+      return;
+    }
+    const miniRect = this.miniElement.getBoundingClientRect();
+    const viewport = this._viewport();
+    const baseOffset = this._baseOffset();
+    const current = this._scrollPosition();
+    const target = {x: current.x, y: current.y};
+
+    if (axis !== 'x') {
+      target.y = baseOffset.top + (e.clientY - miniRect.top) / scale.y - viewport.height / 2;
+    }
+    if (axis !== 'y') {
+      target.x = baseOffset.left + (e.clientX - miniRect.left) / scale.x - viewport.width / 2;
+    }
+
+    let source = e.type === 'click' ? 'click' : 'drag';
+    // a tap is a click from a touch
+    if ((e.pointerType || this.lastPointerType) === 'touch') {
+      source = 'touch';
+    }
+
+    // nobody is waiting on navigations started from the minimap itself
+    this._navigate(target, source, e.type === 'click' && this.settings.smoothScroll, e).catch(noop);
+    e.stopPropagation();
+  }
+
+  /**
+   * scrollTo - Scrolls the window or scroll container to a vertical position
+   *
+   * @param  {Number}  y                 The vertical scroll position
+   * @param  {Object}  [options]         Object containing the options
+   * @param  {Boolean} [options.smooth]  Whether to smooth scroll, defaults to
+   *                                     the smoothScroll setting
+   * @return {Promise}                   Resolves once the page has scrolled,
+   *                                     rejects if the navigation is cancelled
+   *                                     or interrupted by another one
+   */
+  scrollTo (y, options) {
+    this._checkDestroyed();
+    if (!isNumeric(y)) {
+      throw new Error('Invalid scroll position: ' + y);
+    }
+    const settings = Object.assign({smooth: this.settings.smoothScroll}, options);
+    const target = {x: this._scrollPosition().x, y: y};
+    return this._navigate(target, 'api', settings.smooth);
+  }
+
+  /**
+   * scrollToElement - Scrolls the window or scroll container to an element,
+   * along each axis the region tracks
+   *
+   * @param  {Element} element           The element to scroll to
+   * @param  {Object}  [options]         Object containing the options
+   * @param  {String}  [options.align]   'start' or 'center', where the element
+   *                                     ends up in the viewport
+   * @param  {Boolean} [options.smooth]  Whether to smooth scroll, defaults to
+   *                                     the smoothScroll setting
+   * @return {Promise}                   Resolves once the page has scrolled,
+   *                                     rejects if the navigation is cancelled
+   *                                     or interrupted by another one
+   */
+  scrollToElement (element, options) {
+    this._checkDestroyed();
+    if (!(element instanceof window.HTMLElement)) {
+      throw new Error('Invalid element: ' + element);
+    }
+    const settings = Object.assign({align: 'start', smooth: this.settings.smoothScroll}, options);
+    if (!validAligns.has(settings.align)) {
+      throw new Error('Invalid align: ' + settings.align);
+    }
+
+    const axis = this._axis();
+    const offset = this._elementOffset(element);
+    const target = this._scrollPosition();
+
+    if (axis !== 'x') {
+      target.y = offset.top;
+      if (settings.align === 'center') {
+        target.y += (height(element) - this._viewport().height) / 2;
+      }
+    }
+    if (axis !== 'y') {
+      target.x = offset.left;
+      if (settings.align === 'center') {
+        target.x += (width(element) - this._viewport().width) / 2;
+      }
+    }
+    return this._navigate(target, 'api', settings.smooth);
+  }
+
+  /**
+   * _navigate - Scrolls the window or scroll container to the target and
+   * emits the navigate event, unless beforeNavigate cancels it
+   *
+   * @param  {Object}  target  The x and y scroll position to go to
+   * @param  {String}  source  What started the navigation, E.G. 'click'
+   * @param  {Boolean} smooth  Whether to smooth scroll to the target
+   * @param  {Event}   [event] The event that started the navigation
+   * @return {Promise}         Resolves once the page has scrolled, rejects if
+   *                           the navigation is cancelled or interrupted
+   */
+  _navigate (target, source, smooth, event) {
+    // the callback can cancel the navigation or return an adjusted target
+    const adjusted = this.settings.beforeNavigate(
+      {x: target.x, y: target.y, source: source},
+      event
+    );
+    if (adjusted === false) {
+      return Promise.reject(new Error('Navigation cancelled'));
+    }
+    if (adjusted) {
+      target = {
+        x: isNumeric(adjusted.x) ? adjusted.x : target.x,
+        y: isNumeric(adjusted.y) ? adjusted.y : target.y
+      };
+    }
 
-    let target = (e.clientY - regionHeight / 2 - offsetTop + top) / scale.y;
+    target = this._clampScroll(target);
+
+    // a new navigation interrupts one that is still smooth scrolling,
+    // or a flick's momentum
+    this._stopSmoothScroll();
+    this._stopMomentum();
 
     // if we have smooth scroll enabled begin smooth scroll,
     // other wise just scroll to the destination
-    if (e.type === 'click' && this.settings.smoothScroll) {
-      const current = window.scrollY;
-      const maxTarget = outerHeight(this.baseElement); // minimap.outerHeight(true); // mark!
-      target = Math.max(target, Math.min(target, maxTarget));
-      const direction = target > current;
-      const delay = this.settings.smoothScrollDelay;
-      const distance = Math.abs(current - target);
-      const r = delay / distance;
-      let unitScroll = 1;
-      let unitDelay = 4;
-
-      this.onSmoothScroll = false;
-      if (r >= 4) {
-        unitDelay = parseInt(unitScroll);
-      } else if (r >= 1) {
-        unitScroll = parseInt(r) * 4;
-      } else {
-        unitScroll = (4 / r);
-      }
+    let promise;
+    if (smooth) {
+      promise = this._smoothScrollTo(target);
+    } else {
+      this._scrollTo(target.x, target.y);
+      promise = Promise.resolve();
+    }
+    this._emit('navigate', {source: source, x: target.x, y: target.y});
+    return promise;
+  }
 
-      let next = current;
-      let count = parseInt(distance / unitScroll);
-      this.onSmoothScroll = true;
+  /**
+   * _smoothScrollTo - Animates the scroll position to the target over
+   * smoothScrollDelay ms, one step per animation frame
+   *
+   * @param  {Object} target The x and y scroll position to go to
+   * @return {Promise}       Resolves when the target is reached, rejects if
+   *                         _stopSmoothScroll is called or the user scrolls first
+   */
+  _smoothScrollTo (target) {
+    return new Promise((resolve, reject) => {
+      const start = this._scrollPosition();
+      const duration = this.settings.smoothScrollDelay;
+      const easing = isFunction(this.settings.easing)
+        ? this.settings.easing
+        : easings[this.settings.easing];
+      let startTime = null;
+      let last = start;
+
+      const step = (timestamp) => {
+        // the page moved since the last frame, so the user is scrolling
+        const current = this._scrollPosition();
+        if (Math.abs(current.x - last.x) > 1 || Math.abs(current.y - last.y) > 1) {
+          this._stopSmoothScroll();
+          return;
+        }
 
-      // linear translate
-      const smoothScroll = function () {
-        next = next + (direction ? unitScroll : -unitScroll);
-        if (--count <= 0) {
-          clearInterval(timer);
-          this.onSmoothScroll = false;
-          next = target;
+        if (startTime === null) {
+          startTime = timestamp;
+        }
+        const progress = Math.min((timestamp - startTime) / duration, 1);
+        const eased = easing(progress);
+        last = {
+          x: start.x + (target.x - start.x) * eased,
+          y: start.y + (target.y - start.y) * eased
+        };
+        this._scrollTo(last.x, last.y);
+
+        if (progress < 1) {
+          this.smoothScrollFrame = window.requestAnimationFrame(step);
+          return;
         }
-        const curScrollX = window.scrollX;
-        window.scrollTo(curScrollX, next);
+        this.smoothScrollFrame = null;
+        this.smoothScrollReject = null;
+        this.onSmoothScroll = false;
+        resolve();
       };
 
-      var timer = window.setInterval(smoothScroll, unitDelay);
-    } else {
-      var curScrollX = window.scrollX;
-      window.scrollTo(curScrollX, target);
+      this.onSmoothScroll = true;
+      this.smoothScrollReject = reject;
+      this.smoothScrollFrame = window.requestAnimationFrame(step);
+    });
+  }
+
+  /**
+   * _stopSmoothScroll - Stops a smooth scroll in progress, rejecting its promise
+   *
+   */
+  _stopSmoothScroll () {
+    if (!this.onSmoothScroll) {
+      return;
     }
-    e.stopPropagation();
+    window.cancelAnimationFrame(this.smoothScrollFrame);
+    const reject = this.smoothScrollReject;
+    this.smoothScrollFrame = null;
+    this.smoothScrollReject = null;
+    this.onSmoothScroll = false;
+    reject(new Error('Navigation interrupted'));
+  }
+
+  /**
+   * _clampScroll - Limits a scroll position to the scrollable range of the
+   * window or the scroll container
+   *
+   * @param  {Object} target The x and y scroll position
+   * @return {Object}        The clamped x and y scroll position
+   */
+  _clampScroll (target) {
+    const max = this._maxScroll();
+    return {
+      x: Math.min(Math.max(target.x, 0), max.x),
+      y: Math.min(Math.max(target.y, 0), max.y)
+    };
+  }
+
+  /**
+   * _maxScroll - returns how far the window or scroll container can scroll
+   *
+   * @return {Object}  Object containing the x and y maximum scroll values
+   */
+  _maxScroll () {
+    const container = this.settings.scrollContainer;
+    const scrollElement = container || document.documentElement;
+    const viewport = this._viewport();
+    return {
+      x: Math.max(scrollElement.scrollWidth - viewport.width, 0),
+      y: Math.max(scrollElement.scrollHeight - viewport.height, 0)
+    };
   }
 
   /**
@@ -578,22 +2097,29 @@ class MiniMap {
    */
   _disableFind (elements) {
     elements.forEach((element) => {
-      let newHTML = '';
-      let stop = false;
-      const currentElement = element;
-      const html = currentElement.innerHTML;
-      for (let i = 0; i < html.length; i++) {
-        newHTML += html[i];
-        if (html[i] === '<') { stop = true; }
-        if (html[i] === '>') { stop = false; }
-        if (stop === false) {
-          newHTML += '<span style="position:absolute; right:-999999999px;">' + '.' + '</span>';
+      const doc = element.ownerDocument;
+      // the text nodes are split in place rather than reparsed from the html,
+      // so the mirrored fields and canvases keep their clones
+      const texts = [];
+      const walker = doc.createTreeWalker(element, 4); // NodeFilter.SHOW_TEXT
+      while (walker.nextNode()) {
+        texts.push(walker.currentNode);
+      }
+      texts.forEach((text) => {
+        const parent = text.parentNode;
+        if (/^(TEXTAREA|SCRIPT|STYLE)$/.test(parent.tagName.toUpperCase())) {
+          return;
         }
-        if (html[i] === ' ') {
-          newHTML += ' ';
+        const fragment = doc.createDocumentFragment();
+        for (let i = 0; i < text.nodeValue.length; i++) {
+          const dummy = doc.createElement('span');
+          dummy.style.cssText = 'position:absolute; right:-999999999px;';
+          dummy.textContent = '.';
+          fragment.appendChild(doc.createTextNode(text.nodeValue[i]));
+          fragment.appendChild(dummy);
         }
-      }
-      currentElement.innerHTML = newHTML;
+        parent.replaceChild(fragment, text);
+      });
     });
   }
 
@@ -615,28 +2141,248 @@ class MiniMap {
    * @return {Object}  Object containing the x and y scale values
    */
   _scale () {
+    const viewport = this._viewport();
+    const baseSize = this._baseSize();
+    const settings = this.settings;
+    // in a container the minimap fills the width and keeps the page's
+    // aspect ratio, the frame grows to its height
+    if (this.frame) {
+      const ratio = this.frame.clientWidth / baseSize.width;
+      return {x: ratio, y: ratio};
+    }
+    // a horizontal strip runs along the width, so the ratios swap roles
+    if (this._isHorizontal()) {
+      return {
+        x: (viewport.width / baseSize.width) * settings.heightRatio,
+        y: (viewport.height / baseSize.height) * settings.widthRatio
+      };
+    }
+    return {
+      x: (viewport.width / baseSize.width) * settings.widthRatio,
+      y: (viewport.height / baseSize.height) * settings.heightRatio
+    };
+  }
+
+  /**
+   * _isHorizontal - returns whether the minimap is docked as a horizontal
+   * strip, E.G. at the top or bottom
+   *
+   * @return {Boolean}  true for the top and bottom positions
+   */
+  _isHorizontal () {
+    return horizontalPositions.has(this.settings.position);
+  }
+
+  /**
+   * _axis - resolves the axis setting, 'auto' follows the orientation
+   * of the minimap
+   *
+   * @return {String}  Either 'x', 'y' or 'both'
+   */
+  _axis () {
+    const axis = this.settings.axis;
+    if (axis === 'auto') {
+      return this._isHorizontal() ? 'x' : 'y';
+    }
+    return axis;
+  }
+
+  /**
+   * _miniBox - Calculates where the scaled minimap is drawn, the top left
+   * corner of the container if there is one
+   *
+   * @param  {Object} viewport The box returned by _viewport
+   * @param  {Object} baseSize The size returned by _baseSize
+   * @param  {Object} scale    The scale returned by _scale
+   * @return {Object}          Object containing the top, left, width and height
+   */
+  _miniBox (viewport, baseSize, scale) {
+    const settings = this.settings;
+    const position = settings.position;
+    const miniWidth = baseSize.width * scale.x;
+    const miniHeight = baseSize.height * scale.y;
+
+    if (settings.container) {
+      return {top: 0, left: 0, width: miniWidth, height: miniHeight};
+    }
+
+    // offsetHeightRatio is the offset along the strip and offsetWidthRatio
+    // the offset from the edge it is docked to
+    if (this._isHorizontal()) {
+      const offsetLeft = viewport.width * settings.offsetHeightRatio;
+      const offsetTopBottom = viewport.height * settings.offsetWidthRatio;
+      const top = position === 'top'
+        ? viewport.top + offsetTopBottom
+        : viewport.top + viewport.height - offsetTopBottom - miniHeight;
+      return {
+        top: top,
+        left: viewport.left + offsetLeft,
+        width: miniWidth,
+        height: miniHeight
+      };
+    }
+
+    const offsetTop = viewport.height * settings.offsetHeightRatio;
+    const offsetLeftRight = viewport.width * settings.offsetWidthRatio;
+    const left = position === 'left'
+      ? viewport.left + offsetLeftRight
+      : viewport.left + viewport.width - offsetLeftRight - miniWidth;
+    return {
+      top: viewport.top + offsetTop,
+      left: left,
+      width: miniWidth,
+      height: miniHeight
+    };
+  }
+
+  /**
+   * _viewport - Calculates the box the base element is scrolled within, that is
+   * the window or the scroll container, in the coordinates the minimap is
+   * positioned with
+   *
+   * @return {Object}  Object containing the top, left, width and height
+   */
+  _viewport () {
+    const container = this.settings.scrollContainer;
+    if (!container) {
+      return {top: 0, left: 0, width: width(window), height: height(window)};
+    }
+    // the minimap is a sibling of the container, so they share an offset parent
+    return {
+      top: container.offsetTop + container.clientTop,
+      left: container.offsetLeft + container.clientLeft,
+      width: container.clientWidth,
+      height: container.clientHeight
+    };
+  }
+
+  /**
+   * _scrollPosition - returns the scroll position of the window or the
+   * scroll container
+   *
+   * @return {Object}  Object containing the x and y scroll values
+   */
+  _scrollPosition () {
+    const container = this.settings.scrollContainer;
+    if (!container) {
+      return {x: window.scrollX, y: window.scrollY};
+    }
+    return {x: container.scrollLeft, y: container.scrollTop};
+  }
+
+  /**
+   * _scrollTo - scrolls the window or the scroll container to the position
+   *
+   * @param  {Number} x The horizontal scroll position
+   * @param  {Number} y The vertical scroll position
+   */
+  _scrollTo (x, y) {
+    const container = this.settings.scrollContainer;
+    const target = container || window;
+    // the minimap animates scrolls itself, css scroll-behavior: smooth on
+    // the page would animate every step of it again
+    if (isFunction(target.scrollTo) && 'scrollBehavior' in document.documentElement.style) {
+      target.scrollTo({left: x, top: y, behavior: 'instant'});
+      return;
+    }
+    if (!container) {
+      window.scrollTo(x, y);
+      return;
+    }
+    container.scrollLeft = x;
+    container.scrollTop = y;
+  }
+
+  /**
+   * _baseOffset - Calculates where the base element starts within the
+   * scrollable area of the window or the scroll container
+   *
+   * @return {Object}  Object containing the top and left offsets
+   */
+  _baseOffset () {
+    if (this.baseElement === this.settings.scrollContainer) {
+      return {top: 0, left: 0};
+    }
+    return this._elementOffset(this.baseElement);
+  }
+
+  /**
+   * _baseOrigin - Calculates the client coordinates of the point in the base
+   * element that the top left corner of the minimap shows
+   *
+   * @return {Object}  Object containing the top and left client coordinates
+   */
+  _baseOrigin () {
+    const baseElement = this.baseElement;
+    const rect = baseElement.getBoundingClientRect();
+    // a scrollable base element is shown from the start of its content
+    if (baseElement === this.settings.scrollContainer) {
+      return {
+        top: rect.top + baseElement.clientTop - baseElement.scrollTop,
+        left: rect.left + baseElement.clientLeft - baseElement.scrollLeft
+      };
+    }
+    return {top: rect.top, left: rect.left};
+  }
+
+  /**
+   * _elementOffset - Calculates where an element starts within the
+   * scrollable area of the window or the scroll container
+   *
+   * @param  {Element} element The element to calculate the offset of
+   * @return {Object}          Object containing the top and left offsets
+   */
+  _elementOffset (element) {
+    const container = this.settings.scrollContainer;
+    const rect = element.getBoundingClientRect();
+    const scroll = this._scrollPosition();
+    if (!container) {
+      return {top: rect.top + scroll.y, left: rect.left + scroll.x};
+    }
+    const containerRect = container.getBoundingClientRect();
     return {
-      x: (width(window) / width(this.baseElement)) * this.settings.widthRatio,
-      y: (height(window) / height(this.baseElement)) * this.settings.heightRatio
+      top: rect.top - containerRect.top - container.clientTop + scroll.y,
+      left: rect.left - containerRect.left - container.clientLeft + scroll.x
     };
   }
 
   /**
-   * setPosition - changes the positon of the minimap, E.G. left or right
+   * _baseSize - Calculates the size of the base element, a scroll container
+   * used as the base element is measured by its scrollable content. Other
+   * base elements are measured again only after they resize
+   *
+   * @return {Object}  Object containing the width and height
+   */
+  _baseSize () {
+    const baseElement = this.baseElement;
+    if (baseElement === this.settings.scrollContainer) {
+      return {width: baseElement.scrollWidth, height: baseElement.scrollHeight};
+    }
+    if (this.baseSizeCache) {
+      return this.baseSizeCache;
+    }
+    const size = {width: width(baseElement), height: height(baseElement)};
+    // the cache is only invalidated when there is a ResizeObserver
+    if (this.resizeObserver) {
+      this.baseSizeCache = size;
+    }
+    return size;
+  }
+
+  /**
+   * setPosition - changes the positon of the minimap, E.G. left, right,
+   * top or bottom
    *
    * @param  {String} position the position to change to
    */
   setPosition (position) {
+    this._checkDestroyed();
     const oldValue = this.settings.position;
     const validator = propValidators['position'];
     validator(position);
     this.settings.position = position;
     if (oldValue !== this.settings.position) {
-      const css = {};
-      css[oldValue] = '';
       this.onResizeHandler();
-      cssObjAssign(this.region, css);
-      cssObjAssign(this.miniElement, css);
     }
   }
 
@@ -649,6 +2395,7 @@ class MiniMap {
    */
   _genSetPropertyFunction (prop, redraw) {
     return (value) => {
+      this._checkDestroyed();
       const validator = propValidators[prop];
       validator(value);
       this.settings[prop] = value;
@@ -663,11 +2410,12 @@ class MiniMap {
    *
    */
   show () {
+    this._checkDestroyed();
     if (!this.shown) {
-      showElement(this.miniElement);
-      showElement(this.region);
+      this._elements().forEach(showElement);
       this.shown = true;
       this.onResizeHandler();
+      this._emit('show');
     }
   }
 
@@ -676,10 +2424,11 @@ class MiniMap {
    *
    */
   hide () {
+    this._checkDestroyed();
     if (this.shown) {
-      hideElement(this.miniElement);
-      hideElement(this.region);
+      this._elements().forEach(hideElement);
       this.shown = false;
+      this._emit('hide');
     }
   }
 
@@ -688,12 +2437,71 @@ class MiniMap {
    *
    */
   toggle () {
-    toggleElement(this.miniElement);
-    toggleElement(this.region);
-    this.shown = !this.shown;
+    this._checkDestroyed();
     if (this.shown) {
-      this.onResizeHandler();
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * destroy - Removes the minimap and region from the page along with every
+   * listener added by the constructor. The instance can not be used afterwards.
+   *
+   */
+  destroy () {
+    this._checkDestroyed();
+    this._emit('destroy');
+    this._stopSmoothScroll();
+    this._removeListeners();
+
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
     }
+    if (this.pendingRefresh !== null) {
+      window.cancelAnimationFrame(this.pendingRefresh);
+      this.pendingRefresh = null;
+    }
+    if (this.pendingUpdate !== null) {
+      window.cancelAnimationFrame(this.pendingUpdate);
+      this.pendingUpdate = null;
+    }
+    this._stopMomentum();
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    if (this.canvasTimer !== null) {
+      window.clearInterval(this.canvasTimer);
+      this.canvasTimer = null;
+    }
+    this.mirrors = new Map();
+
+    // the unsearchable children and the spans added by _disableFind live
+    // inside the mini element, so removing it takes care of them as well
+    this._elements().forEach((element) => {
+      if (element.parentNode) {
+        remove(element);
+      }
+    });
+
+    // a drag in progress leaves noselect on the base element
+    removeClass(this.baseElement, 'noselect');
+
+    this.shown = false;
+    this.drag = null;
+    this.miniElement = null;
+    this.region = null;
+    this.overlay = null;
+    this.overlayPairs = [];
+    this.host = null;
+    this.hostRoot = null;
+    this.frame = null;
+    this.baseElement = null;
+    this.events = {};
+    this.destroyed = true;
   }
 }
 
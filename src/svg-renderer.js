@@ -0,0 +1,93 @@
+/**
+ * @file builds an svg outline from layout boxes for the 'svg' renderer
+ * @author Austin Rausch
+ */
+const {drawnRect} = require('./boxes');
+
+module.exports = {
+  renderSVG,
+  toSVGString
+};
+
+const svgNamespace = 'http://www.w3.org/2000/svg';
+
+// embedded in every svg, rendered or exported, page rules that prefix these
+// selectors with .minimap override them
+const defaultStyle = [
+  '.minimap-text { opacity: 0.6; }',
+  '.minimap-image { fill: rgba(128, 128, 128, 0.5); }',
+  '.minimap-heading.minimap-text { opacity: 0.9; }',
+  '.minimap-code.minimap-text { fill: #6a737d; }',
+  '.minimap-table.minimap-block { stroke: rgba(128, 128, 128, 0.5); }'
+].join('\n');
+
+/**
+ * renderSVG - replaces the children of the container with an svg outline
+ * of the boxes, drawn in the coordinates of the base element
+ *
+ * @param {Element} container The element to render into
+ * @param {Array}   boxes     The boxes returned by collectBoxes
+ * @param {Object}  baseSize  The width and height of the base element
+ */
+function renderSVG (container, boxes, baseSize) {
+  while (container.firstChild) {
+    container.removeChild(container.firstChild);
+  }
+  container.appendChild(buildSVG(boxes, baseSize));
+}
+
+/**
+ * toSVGString - serializes a standalone svg document of the boxes,
+ * including the default styles
+ *
+ * @param  {Array}  boxes    The boxes returned by collectBoxes
+ * @param  {Object} baseSize The width and height of the base element
+ * @return {String}          The svg markup
+ */
+function toSVGString (boxes, baseSize) {
+  // the serializer declares the svg namespace on the root element
+  return new window.XMLSerializer().serializeToString(buildSVG(boxes, baseSize));
+}
+
+/**
+ * buildSVG - creates an svg element with the default styles and a rect for
+ * every box, classed by the box's type and role so it can be restyled with css
+ *
+ * @param  {Array}  boxes    The boxes returned by collectBoxes
+ * @param  {Object} baseSize The width and height of the base element
+ * @return {Element}         The svg element
+ */
+function buildSVG (boxes, baseSize) {
+  const svg = document.createElementNS(svgNamespace, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${baseSize.width} ${baseSize.height}`);
+  svg.setAttribute('width', baseSize.width);
+  svg.setAttribute('height', baseSize.height);
+  svg.setAttribute('preserveAspectRatio', 'none');
+
+  const style = document.createElementNS(svgNamespace, 'style');
+  style.textContent = defaultStyle;
+  svg.appendChild(style);
+
+  boxes.forEach((box) => {
+    const rect = document.createElementNS(svgNamespace, 'rect');
+    const drawn = drawnRect(box);
+    rect.setAttribute('x', drawn.x);
+    rect.setAttribute('y', drawn.y);
+    rect.setAttribute('width', drawn.width);
+    rect.setAttribute('height', drawn.height);
+
+    let className = 'minimap-' + box.type;
+    if (box.role) {
+      className += ' minimap-' + box.role;
+    }
+    rect.setAttribute('class', className);
+
+    // presentation attributes, so css rules for the classes take precedence
+    if (box.color) {
+      rect.setAttribute('fill', box.color);
+    }
+    svg.appendChild(rect);
+  });
+
+  return svg;
+}
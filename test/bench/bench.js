@@ -0,0 +1,176 @@
+var MiniMap = require('../../src/minimap');
+
+var SECTIONS = 400;
+var FRAMES = 600;
+
+// a long page with enough elements to make layout expensive
+var content = document.getElementById('content');
+for (var i = 0; i < SECTIONS; i++) {
+  var section = document.createElement('section');
+  var heading = document.createElement('h2');
+  heading.textContent = 'Section ' + (i + 1);
+  section.appendChild(heading);
+  for (var j = 0; j < 3; j++) {
+    var paragraph = document.createElement('p');
+    paragraph.textContent = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit, ' +
+      'sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. ' +
+      'Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris.';
+    section.appendChild(paragraph);
+  }
+  content.appendChild(section);
+}
+
+var minimap = window.minimapElement = new MiniMap(document.body, {
+  exclude: ['#results']
+});
+minimap.show();
+
+var results = document.getElementById('results');
+var regionMoves = 0;
+minimap.on('regionmove', function () {
+  regionMoves++;
+});
+
+// the baseline calls the handlers on every event instead of once per frame
+var scheduled = minimap.listeners.filter(function (listener) {
+  return listener.target === window && (listener.type === 'scroll' || listener.type === 'resize');
+});
+function onBaselineScroll () {
+  minimap.baseSizeCache = null;
+  minimap.onScrollHandler();
+}
+function onBaselineResize () {
+  minimap.baseSizeCache = null;
+  minimap.onResizeHandler();
+}
+
+/**
+ * useBaseline - swaps the minimap's coalesced window listeners for ones
+ * calling its handlers on every event with the size cache cleared, like
+ * the minimap did before updates were batched, or swaps them back
+ *
+ * @param {Boolean} baseline Whether to bind the handlers directly
+ */
+function useBaseline (baseline) {
+  var method = baseline ? 'removeEventListener' : 'addEventListener';
+  scheduled.forEach(function (listener) {
+    window[method](listener.type, listener.handler, listener.capture);
+  });
+  method = baseline ? 'addEventListener' : 'removeEventListener';
+  window[method]('scroll', onBaselineScroll);
+  window[method]('resize', onBaselineResize);
+}
+
+/**
+ * run - scrolls through the page a step per frame, several times per frame
+ * like a fast wheel or trackpad does, first with the handlers bound
+ * directly and then coalesced, and reports both
+ *
+ */
+function run () {
+  results.firstChild.textContent = 'Running...\n';
+  useBaseline(true);
+  measure(function (baseline) {
+    useBaseline(false);
+    measure(function (coalesced) {
+      report(baseline, coalesced);
+    });
+  });
+}
+
+/**
+ * measure - scrolls through the page once and collects the frame times
+ *
+ * @param {Function} done Called with the frame times, scroll events and
+ *                        region updates of the run
+ */
+function measure (done) {
+  var maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+  var scrollEvents = 0;
+  var frameTimes = [];
+  var frame = 0;
+  var last = null;
+
+  function onScroll () {
+    scrollEvents++;
+  }
+  window.addEventListener('scroll', onScroll);
+  window.scrollTo(0, 0);
+  regionMoves = 0;
+
+  function step (timestamp) {
+    if (last !== null) {
+      frameTimes.push(timestamp - last);
+    }
+    last = timestamp;
+    if (frame === FRAMES) {
+      window.removeEventListener('scroll', onScroll);
+      done({frameTimes: frameTimes, scrollEvents: scrollEvents, regionMoves: regionMoves});
+      return;
+    }
+    for (var k = 1; k <= 4; k++) {
+      window.scrollTo(0, maxScroll * (frame + k / 4) / FRAMES);
+      window.dispatchEvent(new window.Event('scroll'));
+    }
+    frame++;
+    window.requestAnimationFrame(step);
+  }
+  window.requestAnimationFrame(step);
+}
+
+/**
+ * summarize - returns the figures reported for a run
+ *
+ * @param  {Object} result The result passed on by measure
+ * @return {Array}         The figures, in the order of the report's rows
+ */
+function summarize (result) {
+  var frameTimes = result.frameTimes;
+  var total = frameTimes.reduce(function (sum, time) {
+    return sum + time;
+  }, 0);
+  var longFrames = frameTimes.filter(function (time) {
+    return time > 1000 / 60 + 1;
+  }).length;
+  return [
+    String(frameTimes.length),
+    (total / frameTimes.length).toFixed(2) + 'ms',
+    Math.max.apply(null, frameTimes).toFixed(2) + 'ms',
+    String(longFrames),
+    String(result.scrollEvents),
+    String(result.regionMoves)
+  ];
+}
+
+/**
+ * report - shows the results of the baseline and coalesced runs side by side
+ *
+ * @param {Object} baseline  The result of the run with direct handlers
+ * @param {Object} coalesced The result of the run with coalesced updates
+ */
+function report (baseline, coalesced) {
+  var labels = [
+    'frames:',
+    'average frame:',
+    'longest frame:',
+    'long frames:',
+    'scroll events:',
+    'region updates:'
+  ];
+  var before = summarize(baseline);
+  var after = summarize(coalesced);
+  function pad (text, length) {
+    while (text.length < length) {
+      text += ' ';
+    }
+    return text;
+  }
+  var rows = labels.map(function (label, i) {
+    return pad(label, 17) + pad(before[i], 12) + after[i];
+  });
+  rows.unshift(pad('', 17) + pad('baseline', 12) + 'coalesced');
+  rows.push('');
+  results.firstChild.textContent = rows.join('\n');
+}
+
+document.getElementById('run').addEventListener('click', run);